@@ -11,172 +11,1711 @@ const WebSocket = require('ws');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const { createMemoryStateStore, createRedisStateStore } = require('./lib/sharedState');
+const { createLocalMessageBus, createRedisMessageBus } = require('./lib/messageBus');
+const { createClusterNode } = require('./lib/cluster');
+const { createSessionManager } = require('./lib/sessions');
+const { createSupabaseStorage, createMemoryStorage } = require('./lib/storage');
+const tournamentRules = require('./lib/tournaments');
+const { createHttpApi } = require('./lib/httpApi');
+const matchHistory = require('./lib/matchHistory');
+const replays = require('./lib/replays');
+const series = require('./lib/series');
+const { createRatingEngine } = require('./lib/rating');
+const { validateMessage } = require('./lib/messageSchemas');
+const { createTokenBucket, createKeyedRateLimiter, createLoginThrottle } = require('./lib/rateLimit');
 
-// --- Supabase Setup ---
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
-if (!supabaseUrl || !supabaseKey) {
-    console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables are not set.');
-    process.exit(1);
+// --- Storage Setup ---
+// SUPABASE_URL / SUPABASE_SERVICE_KEY が未設定の場合はインメモリのストレージで起動する (オフラインでの動作確認・テスト用)
+function createStorage() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+    if (!supabaseUrl || !supabaseKey) {
+        console.warn('SUPABASE_URL and SUPABASE_SERVICE_KEY are not set. Using in-memory storage; all data will be lost on restart.');
+        return createMemoryStorage();
+    }
+    const supabaseStorage = createSupabaseStorage(createClient(supabaseUrl, supabaseKey, { auth: { persistSession: false } }));
+    console.log('Supabase client initialized.');
+    return supabaseStorage;
+}
+
+// --- Session Setup ---
+// SESSION_SECRET が未設定の場合はランダムな値を使う (再起動すると発行済みのセッションは使えなくなる)
+function getSessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    console.warn('SESSION_SECRET is not set. Using a random secret; issued session tokens will not survive a restart.');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// --- Shared State Setup ---
+// REDIS_URL を設定すると、ログイン状態・キュー・観戦ルームを Redis で共有し、複数インスタンスで動かせる
+function createSharedState() {
+    if (!process.env.REDIS_URL) {
+        return { store: createMemoryStateStore(), bus: createLocalMessageBus() };
+    }
+    const { createClient: createRedisClient } = require('redis');
+    const publisher = createRedisClient({ url: process.env.REDIS_URL });
+    const subscriber = publisher.duplicate();
+    [publisher, subscriber].forEach(client => {
+        client.on('error', err => console.error('Redis error:', err.message));
+        client.connect().catch(err => console.error('Redis connection failed:', err.message));
+    });
+    return { store: createRedisStateStore(publisher), bus: createRedisMessageBus(publisher, subscriber) };
 }
-const supabase = createClient(supabaseUrl, supabaseKey, { auth: { persistSession: false } });
-console.log('Supabase client initialized.');
-
-// --- Server Setup ---
-const server = http.createServer((req, res) => {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('WebSocket server with Supabase is running.');
-});
-const wss = new WebSocket.Server({ server });
-console.log('WebSocket server starting...');
-
-// --- In-memory State Management ---
-const connections = new Map(); // ws -> { wsId, userId, username, matchId, opponentWsId }
-const wsIdToWs = new Map();
-const userToWsId = new Map();
-let waitingPlayers = [];
-const spectateRooms = new Map(); // roomId -> { roomId, broadcasterWsId, broadcasterUsername, spectators: Map<wsId, ws> }
+// 生存キーを更新する間隔と期限。期限内に更新のないインスタンスは異常終了したとみなし、その接続を他のインスタンスが片付ける
+const INSTANCE_HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const INSTANCE_HEARTBEAT_TTL_MS = 30 * 1000;
+
+// --- Server Settings ---
+const MAX_MESSAGE_BYTES = 512 * 1024; // これを超えるメッセージを受け取ると接続を切断する
 const BCRYPT_SALT_ROUNDS = 10;
+const DECK_NAME_MAX_LENGTH = 50;
+
+// --- Abuse Protection Settings ---
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // X-Forwarded-For のクライアント IP を信頼する
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const RATE_LIMIT_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const CONNECTION_RATE_LIMIT = { capacity: 30, refillPerSecond: 10 };
+
+// --- Matchmaking Settings ---
+const MATCH_RATE_RANGE_BASE = 100;      // 参加直後の探索レート幅 (±)
+const MATCH_RATE_RANGE_STEP = 50;       // 待機時間に応じて広げる幅
+const MATCH_RATE_RANGE_STEP_MS = 10000; // 探索幅を広げる間隔
+const MATCH_RATE_RANGE_MAX = 1000;
+const MATCHMAKING_INTERVAL_MS = 2000;
+const WAIT_TIME_SAMPLE_SIZE = 20;
+
+// --- Match Result Settings ---
+const MATCH_REPORT_RESULTS = ['win', 'lose'];
+const MATCH_REPORT_WINDOW_MS = 2 * 60 * 60 * 1000;     // マッチング成立から結果報告までの期限
+const OPPONENT_REPORT_WINDOW_MS = 10 * 60 * 1000;      // 片方が報告してから相手が報告するまでの期限
+const MATCH_DEADLINE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// --- Series Settings ---
+// Bo3 / Bo5 では、ゲームの合間にデッキを選び直す時間を設ける。両者が準備完了するか時間切れで次のゲームを始める
+const SIDEBOARD_TIME_MS = 2 * 60 * 1000;
+
+// --- Game Event Log Settings ---
+// 対戦中のクライアントは game_action でゲーム内の操作を送れる (任意)。storage.matchEvents に対戦ごとに記録し、
+// 相手と、対戦に紐付いた観戦ルームの観戦者に中継する。記録は係争の判定やリプレイに使う。
+const MAX_MATCH_EVENTS = 5000;
+
+// --- Rating Settings ---
+const RATING_ENGINE = process.env.RATING_ENGINE || 'elo'; // 'elo' | 'glicko2'
+const ratingEngine = createRatingEngine(RATING_ENGINE);
+// 設定した場合、レーティング偏差がこの値を超えるプレイヤーをランキングに表示しない (glicko2 のみ)
+const RANKING_MAX_DEVIATION = process.env.RANKING_MAX_DEVIATION ? Number(process.env.RANKING_MAX_DEVIATION) : null;
+const RATING_DECAY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+console.log(`Rating engine: ${ratingEngine.name}`);
+
+// --- Season Settings ---
+const SEASON_RESET_FACTOR = 0.5;   // ロールオーバー時に 1500 との差をこの割合まで縮める
+const PLACEMENT_MATCH_COUNT = 5;   // シーズン開始直後の配置戦の数
+const PLACEMENT_K_FACTOR = 64;     // 配置戦中の K 係数 (elo のみ。glicko2 は偏差で自然に大きく動く)
+const SEASON_LENGTH_DAYS = Number(process.env.SEASON_LENGTH_DAYS) || 90; // 次のシーズンが予約されていない場合の長さ
+const SEASON_CHECK_INTERVAL_MS = 60 * 1000;
+const SEASON_PAGE_SIZE = 1000;
+
+// --- Reconnect Settings ---
+const RECONNECT_GRACE_MS = 90 * 1000; // 対戦中に切断したプレイヤーの再接続猶予
+
+// --- Spectate Room Settings ---
+// ルーム: { roomId, broadcasterWsId, broadcasterUserId, broadcasterUsername, title, matchId, visibility: 'public' | 'friends' | 'password',
+//           passwordHash, maxSpectators, chatSlowModeSeconds, bannedUserIds, bannedWsIds, mutedUserIds, createdAt }
+// 観戦者の素性は sharedState の 'room_spectator:<roomId>:<wsId>' に { userId, username } として保存する (未ログインの観戦者は userId が null)
+const ROOM_TITLE_MAX_LENGTH = 50;
+
+// --- Challenge Settings ---
+const CHALLENGE_TIMEOUT_MS = 60 * 1000;
+// 申し込みは sharedState の 'challenge:<challengeId>' に { challengeId, challengerId, challengerUsername, targetId, rated, challengerDeck, expiresAt } として保存する。
+// 'user_challenges:<userId>' はそのユーザーが関わる challengeId の一覧。期限切れの通知は申し込みを受け付けたインスタンスが行う。
+
+// --- Tournament Settings ---
+const TOURNAMENT_FORMATS = ['swiss', 'single_elimination'];
+
+// --- Moderation Settings ---
+const ROLES = ['user', 'moderator', 'admin']; // 後ろほど権限が強い
+const AUDIT_LOG_PAGE_SIZE = 50;
+
+// --- Cluster Lock Settings ---
+// 複数インスタンスで同じ処理 (マッチング・期限処理・大会の更新など) が重ならないようにする
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+const SEASON_ROLLOVER_LOCK_MS = 30 * 60 * 1000;
 
 // =================================================================
-// HELPER FUNCTIONS
+// SERVER INSTANCE
 // =================================================================
-async function getUserData(userId) {
-    if (!supabase) return null;
-    const { data, error } = await supabase.from('users').select('*').eq('user_id', userId).single();
-    if (error && error.code !== 'PGRST116') { // PGRST116: no rows returned
-        console.error(`Error getting user data for ${userId}:`, error.message);
-        return null;
+// 1インスタンス分のサーバー (HTTP / WebSocket と定期処理) を作る。
+// storage・store・bus を共有すれば、同じプロセスの中で複数のインスタンスを動かせる (インスタンスをまたぐ処理のテスト用)。
+function createGameServer({ storage, store: sharedState, bus: messageBus, instanceId = uuidv4(), sessionSecret = getSessionSecret(), heartbeatTtlMs = INSTANCE_HEARTBEAT_TTL_MS }) {
+    const sessions = createSessionManager({ store: storage.sessions, secret: sessionSecret });
+
+    // --- Server Setup ---
+    const serverStartedAt = Date.now();
+    const server = http.createServer(createHttpApi({
+        storage,
+        getRankingPage,
+        corsOrigin: process.env.CORS_ORIGIN || '*',
+        getBroadcastList,
+        getHealth: async () => ({
+            status: 'ok',
+            instanceId,
+            uptimeSeconds: Math.floor((Date.now() - serverStartedAt) / 1000),
+            connections: connections.size,
+            loggedInUsers: await sharedState.countUserSockets(),
+            queueCount: await sharedState.getQueueSize(),
+            broadcastCount: (await sharedState.listRooms()).length
+        })
+    }));
+    const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+    // --- In-memory State Management ---
+    // このインスタンスの接続のみ。ログイン中のユーザー (userId -> wsId)、マッチングキュー
+    // ({ userId, rate, deck, joinedAt })、観戦ルームは sharedState で全インスタンスと共有する。
+    const connections = new Map(); // ws -> { wsId, userId, username, role, mutedUntil, sessionId, matchId, opponentWsId }
+    const wsIdToWs = new Map();
+    const cluster = createClusterNode({ instanceId, store: sharedState, bus: messageBus, sockets: wsIdToWs });
+    const notifiedSearchRanges = new Map(); // userId -> 最後に通知した探索幅 (このインスタンスの接続のみ)
+    const ipRateLimiter = createKeyedRateLimiter({ capacity: 60, refillPerSecond: 20 });
+    const loginThrottle = createLoginThrottle({ maxFailures: 5 });     // IP + ユーザー名ごと
+    const ipLoginThrottle = createLoginThrottle({ maxFailures: 20 });  // IP ごと (総当たり対策)
+    let recentWaitTimes = []; // 直近のマッチング成立までの待機時間 (ms)。sharedState の 'recent_wait_times' と同期する
+    const sideboardTimers = new Map(); // matchId -> timer (このインスタンスでゲーム結果を確定した対戦のみ)
+    let currentSeason = null; // seasons 行 { season_id, season_number, name, starts_at, ends_at, status }
+    let seasonRolloverInProgress = false;
+    const disconnectedPlayers = new Map(); // userId -> { matchId, opponentId, deadline, timer }
+    const challengeTimers = new Map(); // challengeId -> timer (このインスタンスで受け付けた申し込みのみ)
+
+    // =================================================================
+    // HELPER FUNCTIONS
+    // =================================================================
+    async function getUserData(userId) {
+        try {
+            return await storage.users.findById(userId);
+        } catch (error) {
+            console.error(`Error getting user data for ${userId}:`, error.message);
+            return null;
+        }
     }
-    return data;
-}
 
-async function updateUserData(userId, updatePayload) {
-    if (!supabase) return;
-    const updateObject = {};
-    if (updatePayload.rate !== undefined) updateObject.rate = updatePayload.rate;
-    if (updatePayload.matchHistory !== undefined) updateObject.match_history = updatePayload.matchHistory;
-    if (updatePayload.memos !== undefined) updateObject.memos = updatePayload.memos;
-    if (updatePayload.battleRecords !== undefined) updateObject.battle_records = updatePayload.battleRecords;
-    if (updatePayload.registeredDecks !== undefined) updateObject.registered_decks = updatePayload.registeredDecks;
-    if (updatePayload.hasOwnProperty('currentMatchId')) updateObject.current_match_id = updatePayload.currentMatchId;
-    
-    if (Object.keys(updateObject).length === 0) return;
-
-    const { error } = await supabase.from('users').update(updateObject).eq('user_id', userId);
-    if (error) {
-        console.error(`Error updating user data for ${userId}:`, error.message);
-        throw error;
+    async function updateUserData(userId, updatePayload) {
+        const updateObject = {};
+        if (updatePayload.rate !== undefined) updateObject.rate = updatePayload.rate;
+        if (updatePayload.matchHistory !== undefined) updateObject.match_history = updatePayload.matchHistory;
+        if (updatePayload.memos !== undefined) updateObject.memos = updatePayload.memos;
+        if (updatePayload.battleRecords !== undefined) updateObject.battle_records = updatePayload.battleRecords;
+        if (updatePayload.registeredDecks !== undefined) updateObject.registered_decks = updatePayload.registeredDecks;
+        if (updatePayload.hasOwnProperty('currentMatchId')) updateObject.current_match_id = updatePayload.currentMatchId;
+        if (updatePayload.placementGamesPlayed !== undefined) updateObject.placement_games_played = updatePayload.placementGamesPlayed;
+        if (updatePayload.ratingDeviation !== undefined) updateObject.rating_deviation = updatePayload.ratingDeviation;
+        if (updatePayload.ratingVolatility !== undefined) updateObject.rating_volatility = updatePayload.ratingVolatility;
+        if (updatePayload.ratingUpdatedAt !== undefined) updateObject.rating_updated_at = updatePayload.ratingUpdatedAt;
+        if (updatePayload.lastResetSeasonId !== undefined) updateObject.last_reset_season_id = updatePayload.lastResetSeasonId;
+        
+        if (Object.keys(updateObject).length === 0) return;
+
+        try {
+            await storage.users.update(userId, updateObject);
+        } catch (error) {
+            console.error(`Error updating user data for ${userId}:`, error.message);
+            throw error;
+        }
     }
-}
 
-async function registerNewUser(userId, username, passwordHash) {
-    if (!supabase) throw new Error('Supabase client not configured.');
-    const { error } = await supabase.from('users').insert([{
-        user_id: userId, username: username, password_hash: passwordHash,
-        rate: 1500, match_history: [], memos: [], battle_records: [], registered_decks: [], current_match_id: null
-    }]);
-    if (error) {
-        console.error('Error registering new user:', error.message);
-        throw error;
+    async function registerNewUser(userId, username, passwordHash) {
+        const initialRating = ratingEngine.initialState();
+        try {
+            await storage.users.create({
+                user_id: userId, username: username, password_hash: passwordHash, role: 'user',
+                rate: initialRating.rate, match_history: [], memos: [], battle_records: [], registered_decks: [], current_match_id: null,
+                placement_games_played: 0, rating_deviation: initialRating.deviation, rating_volatility: initialRating.volatility, rating_updated_at: null
+            });
+        } catch (error) {
+            console.error('Error registering new user:', error.message);
+            throw error;
+        }
     }
-}
 
-async function getUserIdByUsername(username) {
-    if (!supabase) return null;
-    const { data, error } = await supabase.from('users').select('user_id').eq('username', username).single();
-    if (error && error.code !== 'PGRST116') console.error(`Error getting user id for ${username}:`, error.message);
-    return data ? data.user_id : null;
-}
+    async function getUserIdByUsername(username) {
+        try {
+            const user = await storage.users.findByUsername(username);
+            return user ? user.user_id : null;
+        } catch (error) {
+            console.error(`Error getting user id for ${username}:`, error.message);
+            return null;
+        }
+    }
 
-function formatUserDataForClient(dbData) {
-    if (!dbData) return null;
-    return {
-        userId: dbData.user_id,
-        username: dbData.username,
-        rate: dbData.rate,
-        matchHistory: dbData.match_history || [],
-        memos: dbData.memos || [],
-        battleRecords: dbData.battle_records || [],
-        registeredDecks: dbData.registered_decks || [],
-        currentMatchId: dbData.current_match_id
-    };
-}
+    // ロックを取れたインスタンスだけが実行する (定期処理用。取れなければ何もしない)
+    async function runExclusive(name, task, ttlMs = LOCK_TTL_MS) {
+        const token = await sharedState.acquireLock(name, ttlMs);
+        if (!token) return undefined;
+        try {
+            return await task();
+        } finally {
+            await sharedState.releaseLock(name, token);
+        }
+    }
+
+    // ロックが空くのを待ってから実行する
+    async function withLock(name, task) {
+        const deadline = Date.now() + LOCK_WAIT_MS;
+        let token;
+        while (!(token = await sharedState.acquireLock(name, LOCK_TTL_MS))) {
+            if (Date.now() > deadline) throw new Error(`Timed out waiting for lock: ${name}`);
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+        try {
+            return await task();
+        } finally {
+            await sharedState.releaseLock(name, token);
+        }
+    }
+
+    // 複数ユーザーのレートや戦績の読み書きを直列化する。デッドロックを避けるため ID 順にロックを取る
+    function withUserLocks(userIds, task) {
+        const [first, ...rest] = [...new Set(userIds)].sort();
+        if (!first) return task();
+        return withLock(`user:${first}`, () => withUserLocks(rest, task));
+    }
+
+    // ロックを取ってからユーザーを読み直し、computeUpdate の結果を書き込む (読み込みから書き込みまでの間に他の更新が割り込まない)
+    function updateUserRating(userId, computeUpdate) {
+        return withUserLocks([userId], async () => {
+            const userData = await getUserData(userId);
+            if (!userData) return null;
+            const update = computeUpdate(userData);
+            if (update) await updateUserData(userId, update);
+            return { userData, update };
+        });
+    }
+
+    // ユーザーの接続先をこの接続として共有ストアから外し、キューからも取り除く。
+    // この接続がユーザーの現在の接続だった場合は true (別の接続で再ログイン済みなら false)
+    async function releaseUser(userId, username, wsId) {
+        const wasActive = await sharedState.removeUserSocket(userId, wsId);
+        if (wasActive) {
+            cancelChallengesForUser(userId);
+            notifyFriendsPresence(userId, username, false);
+        }
+        if ((await sharedState.removeQueueEntries([userId])).length > 0) {
+            notifiedSearchRanges.delete(userId);
+            broadcastQueueCount();
+        }
+        return wasActive;
+    }
 
-// キューの人数を全クライアントにブロードキャストする関数
-function broadcastQueueCount() {
-    const message = JSON.stringify({ type: 'queue_count_update', count: waitingPlayers.length });
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
+    // 異常終了したインスタンスに残ったログイン状態とキューのエントリを片付ける (そのインスタンスでは切断処理が走らないため)
+    async function sweepDeadInstances() {
+        const removed = await sharedState.removeDeadInstanceSockets();
+        for (const { userId } of removed) {
+            const userData = await getUserData(userId);
+            cancelChallengesForUser(userId);
+            notifyFriendsPresence(userId, userData?.username, false);
+            if (userData?.current_match_id) await handleMatchDisconnect(userId, userData.current_match_id);
         }
+        // ログイン中でないユーザーのエントリはマッチングしても通知が届かない
+        const offlineUserIds = [];
+        for (const entry of await sharedState.getQueueEntries()) {
+            if (!(await sharedState.getUserSocket(entry.userId))) offlineUserIds.push(entry.userId);
+        }
+        const dequeued = offlineUserIds.length > 0 ? await sharedState.removeQueueEntries(offlineUserIds) : [];
+        if (dequeued.length > 0) broadcastQueueCount();
+        if (removed.length > 0 || dequeued.length > 0) {
+            console.log(`Swept ${removed.length} sockets and ${dequeued.length} queue entries left by stopped instances.`);
+        }
+    }
+
+    // 接続のログイン状態を解除する（キューからも外す）
+    function clearLogin(conn) {
+        if (conn.userId) {
+            releaseUser(conn.userId, conn.username, conn.wsId).catch(err => console.error('Error releasing user:', err));
+        }
+        conn.userId = null;
+        conn.username = null;
+        conn.role = null;
+        conn.mutedUntil = null;
+        conn.sessionId = null;
+    }
+
+    // logout_all_devices: 同じユーザーでログイン中の他の接続を、どのインスタンスにあっても強制的にログアウトさせる
+    // BAN された場合も同じ仕組みで切断する (message で理由を伝える)
+    cluster.onEvent('force_logout', ({ userId, exceptWsId, message }) => {
+        connections.forEach((otherConn, otherWs) => {
+            if (otherConn.wsId === exceptWsId || otherConn.userId !== userId) return;
+            clearLogin(otherConn);
+            if (otherWs.readyState === WebSocket.OPEN) {
+                otherWs.send(JSON.stringify({ type: 'forced_logout', message: message || '別の端末からすべての端末でログアウトされました。' }));
+            }
+        });
     });
-    console.log(`Broadcasted queue count: ${waitingPlayers.length}`);
-}
 
-async function tryMatchPlayers() {
-    if (waitingPlayers.length < 2) return;
-    const player1Id = waitingPlayers.shift();
-    const player2Id = waitingPlayers.shift();
-    
-    const ws1Id = userToWsId.get(player1Id);
-    const ws2Id = userToWsId.get(player2Id);
-    const ws1 = wsIdToWs.get(ws1Id);
-    const ws2 = wsIdToWs.get(ws2Id);
-
-    if (ws1 && ws2 && ws1.readyState === WebSocket.OPEN && ws2.readyState === WebSocket.OPEN) {
+    // 対戦に使用するデッキ名 (未指定・不正な値は null)
+    function normalizeDeckName(deck) {
+        if (typeof deck !== 'string') return null;
+        const trimmed = deck.trim();
+        return trimmed ? trimmed.slice(0, DECK_NAME_MAX_LENGTH) : null;
+    }
+
+    function formatUserDataForClient(dbData) {
+        if (!dbData) return null;
+        return {
+            userId: dbData.user_id,
+            username: dbData.username,
+            rate: dbData.rate,
+            matchHistory: matchHistory.normalizeMatchHistory(dbData.match_history),
+            memos: dbData.memos || [],
+            battleRecords: dbData.battle_records || [],
+            registeredDecks: dbData.registered_decks || [],
+            currentMatchId: dbData.current_match_id,
+            placementGamesRemaining: Math.max(0, PLACEMENT_MATCH_COUNT - getPlacementGamesPlayed(dbData)),
+            ratingDeviation: ratingEngine.usesDeviation ? Math.round(ratingEngine.decay(ratingStateFromUser(dbData)).deviation) : null
+        };
+    }
+
+    // キューの人数を全インスタンスの全クライアントにブロードキャストする関数
+    async function broadcastQueueCount() {
+        try {
+            const count = await sharedState.getQueueSize();
+            await cluster.broadcast({ type: 'queue_count_update', count });
+            console.log(`Broadcasted queue count: ${count}`);
+        } catch (err) {
+            console.error('Error broadcasting queue count:', err);
+        }
+    }
+
+    // 待機時間に応じて探索レート幅を広げる
+    function getSearchRange(entry, now = Date.now()) {
+        const steps = Math.floor((now - entry.joinedAt) / MATCH_RATE_RANGE_STEP_MS);
+        return Math.min(MATCH_RATE_RANGE_BASE + steps * MATCH_RATE_RANGE_STEP, MATCH_RATE_RANGE_MAX);
+    }
+
+    function recordWaitTime(waitMs) {
+        recentWaitTimes.push(waitMs);
+        if (recentWaitTimes.length > WAIT_TIME_SAMPLE_SIZE) recentWaitTimes.shift();
+    }
+
+    async function syncWaitTimes(updated) {
+        if (updated) await sharedState.setValue('recent_wait_times', recentWaitTimes);
+        else recentWaitTimes = (await sharedState.getValue('recent_wait_times')) || recentWaitTimes;
+    }
+
+    function getEstimatedWaitSeconds(entry, now = Date.now()) {
+        if (recentWaitTimes.length === 0) return null;
+        const averageMs = recentWaitTimes.reduce((sum, ms) => sum + ms, 0) / recentWaitTimes.length;
+        return Math.max(0, Math.round((averageMs - (now - entry.joinedAt)) / 1000));
+    }
+
+    function sendQueueStatus(ws, entry, message) {
+        const now = Date.now();
+        const range = getSearchRange(entry, now);
+        notifiedSearchRanges.set(entry.userId, range);
+        ws.send(JSON.stringify({
+            type: 'queue_status',
+            message,
+            seriesFormat: entry.seriesFormat || series.DEFAULT_SERIES_FORMAT,
+            searchRange: { min: entry.rate - range, max: entry.rate + range },
+            estimatedWaitSeconds: getEstimatedWaitSeconds(entry, now)
+        }));
+    }
+
+    // 探索幅が広がったプレイヤーにだけ最新の状況を通知する (このインスタンスに接続しているプレイヤーのみ)
+    async function notifyQueueStatusChanges() {
+        const now = Date.now();
+        await syncWaitTimes(false);
+        for (const entry of await sharedState.getQueueEntries()) {
+            if (getSearchRange(entry, now) === notifiedSearchRanges.get(entry.userId)) continue;
+            const ws = wsIdToWs.get(await sharedState.getUserSocket(entry.userId));
+            if (ws?.readyState === WebSocket.OPEN) sendQueueStatus(ws, entry, '対戦相手を検索中です...');
+        }
+    }
+
+    // 待機の長い順に、互いの探索幅に収まる最もレートの近い相手を選ぶ
+    function findMatchPairs(entries, now) {
+        const pairs = [];
+        const remaining = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+        while (remaining.length >= 2) {
+            const entry = remaining.shift();
+            const range = getSearchRange(entry, now);
+            let bestIndex = -1;
+            let bestDiff = Infinity;
+            const seriesFormat = entry.seriesFormat || series.DEFAULT_SERIES_FORMAT;
+            remaining.forEach((candidate, index) => {
+                // 同じ形式 (Bo1 / Bo3 / Bo5) を選んだプレイヤー同士のみ組む
+                if ((candidate.seriesFormat || series.DEFAULT_SERIES_FORMAT) !== seriesFormat) return;
+                const diff = Math.abs(candidate.rate - entry.rate);
+                if (diff <= range && diff <= getSearchRange(candidate, now) && diff < bestDiff) {
+                    bestIndex = index;
+                    bestDiff = diff;
+                }
+            });
+            if (bestIndex !== -1) pairs.push([entry, remaining.splice(bestIndex, 1)[0]]);
+        }
+        return pairs;
+    }
+
+    // options: { rated: レート変動の有無 (既定 true), matchType: 'ranked' | 'private' | 'tournament', tournamentId, decks: [player1Deck, player2Deck],
+    //            seriesFormat: 'bo1' | 'bo3' | 'bo5' (既定 bo1) }
+    // オフラインのプレイヤーは次回ログイン時に resumeMatch で対戦に紐付けられる
+    // 接続が別のインスタンスにあっても、bind_match で conn.matchId / opponentWsId を設定する
+    async function createMatch(player1Id, player2Id, options = {}) {
+        const rated = options.rated !== false;
+        const matchType = options.matchType || 'ranked';
+        const ws1Id = await sharedState.getUserSocket(player1Id);
+        const ws2Id = await sharedState.getUserSocket(player2Id);
+
         const matchId = uuidv4();
-        const conn1 = connections.get(ws1);
-        const conn2 = connections.get(ws2);
+        await cluster.dispatch(ws1Id, 'bind_match', { matchId, opponentWsId: ws2Id });
+        await cluster.dispatch(ws2Id, 'bind_match', { matchId, opponentWsId: ws1Id });
+        const username1 = connections.get(wsIdToWs.get(ws1Id))?.username || (await getUserData(player1Id))?.username;
+        const username2 = connections.get(wsIdToWs.get(ws2Id))?.username || (await getUserData(player2Id))?.username;
 
-        conn1.matchId = matchId;
-        conn1.opponentWsId = ws2Id;
-        conn2.matchId = matchId;
-        conn2.opponentWsId = ws1Id;
-        
         await updateUserData(player1Id, { currentMatchId: matchId });
         await updateUserData(player2Id, { currentMatchId: matchId });
-        await supabase.from('matches').insert([{ match_id: matchId, player1_id: player1Id, player2_id: player2Id }]);
+        await storage.matches.create({
+            match_id: matchId, player1_id: player1Id, player2_id: player2Id,
+            match_type: matchType, is_rated: rated, tournament_id: options.tournamentId || null,
+            player1_deck: options.decks?.[0] || null, player2_deck: options.decks?.[1] || null,
+            status: 'open', report_deadline: new Date(Date.now() + MATCH_REPORT_WINDOW_MS).toISOString(),
+            ...series.createSeriesFields(options.seriesFormat)
+        });
+        // 対戦の作成中に切断したプレイヤーは、紐付けが間に合わず切断処理が走らないため、ここで再接続待ちにする
+        for (const userId of [player1Id, player2Id]) {
+            if (!(await cluster.isUserOnline(userId))) await handleMatchDisconnect(userId, matchId);
+        }
 
-        ws1.send(JSON.stringify({ type: 'match_found', matchId, opponentUserId: player2Id, opponentUsername: conn2.username, isInitiator: true }));
-        ws2.send(JSON.stringify({ type: 'match_found', matchId, opponentUserId: player1Id, opponentUsername: conn1.username, isInitiator: false }));
-        console.log(`Matched ${conn1.username} with ${conn2.username}`);
-        broadcastQueueCount(); // マッチング成功時に更新
-    } else {
-        if (ws1?.readyState === WebSocket.OPEN) waitingPlayers.unshift(player1Id);
-        if (ws2?.readyState === WebSocket.OPEN) waitingPlayers.unshift(player2Id);
-        broadcastQueueCount(); // マッチング失敗時（プレイヤーが切断されていた場合など）にも更新
+        const seriesFormat = series.SERIES_FORMATS[options.seriesFormat] ? options.seriesFormat : series.DEFAULT_SERIES_FORMAT;
+        const gamesToWin = series.SERIES_FORMATS[seriesFormat];
+        await cluster.sendToWs(ws1Id, { type: 'match_found', matchId, opponentUserId: player2Id, opponentUsername: username2, isInitiator: true, matchType, rated, seriesFormat, gamesToWin });
+        await cluster.sendToWs(ws2Id, { type: 'match_found', matchId, opponentUserId: player1Id, opponentUsername: username1, isInitiator: false, matchType, rated, seriesFormat, gamesToWin });
+        console.log(`Matched ${username1} with ${username2}`);
+        return matchId;
     }
-}
 
-function broadcastListUpdate() {
-    const broadcastList = Array.from(spectateRooms.values()).map(room => ({
-        roomId: room.roomId,
-        broadcasterUsername: room.broadcasterUsername
-    }));
-    const message = JSON.stringify({ type: 'broadcast_list_update', list: broadcastList });
-    wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) client.send(message);
+    // 全インスタンスで共有するキューを、ロックを取ったインスタンスだけが処理する。
+    // このインスタンス内でも1回ずつ実行し、実行中に呼ばれた場合は終わった後にもう一度だけ実行する
+    let matchmakingRun = null;
+    let matchmakingRerunRequested = false;
+    function tryMatchPlayers() {
+        if (matchmakingRun) {
+            matchmakingRerunRequested = true;
+            return matchmakingRun;
+        }
+        matchmakingRun = (async () => {
+            try {
+                do {
+                    matchmakingRerunRequested = false;
+                    await runExclusive('matchmaking', matchQueuedPlayers);
+                } while (matchmakingRerunRequested);
+            } finally {
+                matchmakingRun = null;
+            }
+        })();
+        return matchmakingRun;
+    }
+
+    async function matchQueuedPlayers() {
+        const entries = await sharedState.getQueueEntries();
+        if (entries.length < 2) return;
+        const now = Date.now();
+        const pairs = findMatchPairs(entries, now);
+        if (pairs.length === 0) return;
+        await syncWaitTimes(false);
+
+        for (const [entry1, entry2] of pairs) {
+            // 取り出せたエントリーだけを使う (leave_queue や切断で既に抜けていた場合は組まない)
+            const removed = await sharedState.removeQueueEntries([entry1.userId, entry2.userId]);
+            notifiedSearchRanges.delete(entry1.userId);
+            notifiedSearchRanges.delete(entry2.userId);
+            const online1 = removed.length === 2 && await cluster.isUserOnline(entry1.userId);
+            const online2 = removed.length === 2 && await cluster.isUserOnline(entry2.userId);
+            if (online1 && online2) {
+                recordWaitTime(now - entry1.joinedAt);
+                recordWaitTime(now - entry2.joinedAt);
+                try {
+                    await createMatch(entry1.userId, entry2.userId, { decks: [entry1.deck, entry2.deck], seriesFormat: entry1.seriesFormat });
+                } catch (err) {
+                    console.error('Error creating match:', err);
+                }
+            } else {
+                // 切断されていたプレイヤー以外は待機時間を保ったままキューに戻す
+                for (const entry of removed) {
+                    if (await cluster.isUserOnline(entry.userId)) await sharedState.addQueueEntry(entry);
+                }
+            }
+        }
+        await syncWaitTimes(true);
+        await broadcastQueueCount(); // マッチング成功・失敗時に更新
+    }
+
+    // =================================================================
+    // MATCH RESULT RESOLUTION
+    // =================================================================
+    function ratingStateFromUser(userData) {
+        return {
+            rate: userData.rate,
+            deviation: userData.rating_deviation ?? null,
+            volatility: userData.rating_volatility ?? null,
+            updatedAt: userData.rating_updated_at ? Date.parse(userData.rating_updated_at) : null
+        };
+    }
+
+    function ratingStateToUpdate(state) {
+        return {
+            rate: state.rate,
+            ratingDeviation: state.deviation,
+            ratingVolatility: state.volatility,
+            ratingUpdatedAt: state.updatedAt ? new Date(state.updatedAt).toISOString() : null
+        };
+    }
+
+    // placement_games_played が未設定の旧データは配置戦終了済みとして扱う
+    function getPlacementGamesPlayed(userData) {
+        return userData.placement_games_played ?? PLACEMENT_MATCH_COUNT;
+    }
+
+    // 配置戦中のみ K 係数を上書きする (undefined ならエンジンの既定値)
+    function getKFactor(userData) {
+        return getPlacementGamesPlayed(userData) < PLACEMENT_MATCH_COUNT ? PLACEMENT_K_FACTOR : undefined;
+    }
+
+    // 接続しているインスタンスを問わずユーザーに送る
+    function sendToUser(userId, payload) {
+        cluster.sendToUser(userId, payload).catch(err => console.error(`Error sending to ${userId}:`, err));
+    }
+
+    // 勝者を確定してレートと戦績を更新する。winnerId が null の場合は無効試合としてレートを変動させない。
+    // match は呼び出し側が読み込んだ時点の行で、その後に他の処理が確定・係争にしていた場合は何もせず false を返す。
+    // 確定済みの対戦を渡した場合 (運営による変更) は、前回の結果を取り消してから確定し直す。
+    // seriesFields: Bo3 / Bo5 の最終ゲームの記録 (series.recordGame の fields)。確定と同じ更新で書き込む
+    async function resolveMatch(match, winnerId, resolution, resolutionMessage, seriesFields = {}) {
+        const settledMatch = { ...match, ...seriesFields };
+        const result = await withUserLocks([match.player1_id, match.player2_id], async () => {
+            // 対戦の状態を変える処理 (確定・係争・次のゲームへの移行) はすべて両プレイヤーのロックを取るので、
+            // ここで読み直した状態は最後の条件付き更新まで変わらない。同時に報告・期限切れ処理が走っても確定できるのは1つだけ
+            const current = await storage.matches.findById(match.match_id);
+            if (!current || (current.status ?? null) !== (match.status ?? null) || (current.resolved_at ?? null) !== (match.resolved_at ?? null)) return null;
+            // レートと戦績を書き込んでから確定済みにする。途中で失敗した対戦は未確定のまま残り、期限切れ処理がやり直す。
+            // やり直しでは前回書き込んだ分を取り消してから書き込むので、二重には反映されない
+            if (current.resolved_at || current.rating_changes) await rollbackMatchResult(current);
+            const applied = await applyMatchResult({ ...current, ...seriesFields }, winnerId);
+            const claimed = await storage.matches.compareAndUpdate(match.match_id,
+                { status: current.status ?? null, resolved_at: current.resolved_at ?? null },
+                { ...seriesFields, status: 'resolved', resolution, winner_id: winnerId, resolved_at: new Date().toISOString(), series_phase: null });
+            if (!claimed) throw new Error(`Match ${match.match_id} changed while it was being resolved.`);
+            return applied;
+        });
+        if (!result) {
+            console.log(`Match ${match.match_id} was already settled. Skipping ${resolution}.`);
+            return false;
+        }
+        const { p1NewRate, p2NewRate, p1History, p2History } = result;
+        cancelSideboardTimer(match.match_id);
+        await unbindMatch(match.player1_id, match.match_id);
+        await unbindMatch(match.player2_id, match.match_id);
+
+        const seriesData = series.isSeries(settledMatch) ? series.formatSeries(settledMatch) : undefined;
+        sendToUser(match.player1_id, { type: 'report_result_response', success: true, message: resolutionMessage, result: 'resolved', resolution, series: seriesData, myNewRate: p1NewRate, myMatchHistory: p1History });
+        sendToUser(match.player2_id, { type: 'report_result_response', success: true, message: resolutionMessage, result: 'resolved', resolution, series: seriesData, myNewRate: p2NewRate, myMatchHistory: p2History });
+        console.log(`Match ${match.match_id} resolved (${resolution}). Winner: ${winnerId || 'none'}`);
+
+        if (match.tournament_id) recordTournamentResult(match.tournament_id, match.match_id, winnerId);
+        return true;
+    }
+
+    // 確定した対戦のレートと戦績を書き込む (両プレイヤーのロックを取った状態で呼ぶ)
+    async function applyMatchResult(match, winnerId) {
+        const player1Data = await getUserData(match.player1_id);
+        const player2Data = await getUserData(match.player2_id);
+        if (!player1Data || !player2Data) throw new Error(`Players for match ${match.match_id} not found.`);
+
+        let p1Result = 'void';
+        let p2Result = 'void';
+        let p1NewRate = player1Data.rate;
+        let p2NewRate = player2Data.rate;
+        const p1Update = {};
+        const p2Update = {};
+        let ratingChanges = null; // 運営による取り消しに備え、変動前後のレーティングを対戦に記録する
+        if (winnerId) {
+            const p1Won = winnerId === match.player1_id;
+            p1Result = p1Won ? 'win' : 'lose';
+            p2Result = p1Won ? 'lose' : 'win';
+            // プライベートマッチはレート変動なしを選べる (is_rated が未設定の旧データはレート戦扱い)
+            if (match.is_rated !== false) {
+                const rated = ratingEngine.rateMatch(ratingStateFromUser(player1Data), ratingStateFromUser(player2Data), p1Won ? 1 : 0, {
+                    p1KFactor: getKFactor(player1Data), p2KFactor: getKFactor(player2Data)
+                });
+                Object.assign(p1Update, ratingStateToUpdate(rated.p1));
+                Object.assign(p2Update, ratingStateToUpdate(rated.p2));
+                p1NewRate = rated.p1.rate;
+                p2NewRate = rated.p2.rate;
+                if (getPlacementGamesPlayed(player1Data) < PLACEMENT_MATCH_COUNT) p1Update.placementGamesPlayed = getPlacementGamesPlayed(player1Data) + 1;
+                if (getPlacementGamesPlayed(player2Data) < PLACEMENT_MATCH_COUNT) p2Update.placementGamesPlayed = getPlacementGamesPlayed(player2Data) + 1;
+                ratingChanges = {
+                    [match.player1_id]: { before: ratingStateFromUser(player1Data), after: rated.p1, placementCounted: p1Update.placementGamesPlayed !== undefined },
+                    [match.player2_id]: { before: ratingStateFromUser(player2Data), after: rated.p2, placementCounted: p2Update.placementGamesPlayed !== undefined }
+                };
+            }
+        }
+
+        const historyBase = { matchId: match.match_id, matchType: match.match_type, rated: match.is_rated !== false, seriesFormat: series.getSeriesFormat(match) };
+        const p1Score = series.isSeries(match) ? { gamesWon: match.player1_game_wins || 0, gamesLost: match.player2_game_wins || 0 } : {};
+        const p2Score = series.isSeries(match) ? { gamesWon: match.player2_game_wins || 0, gamesLost: match.player1_game_wins || 0 } : {};
+        // やり直しで同じ対戦の戦績が残っていれば置き換える
+        const previousHistory = userData => matchHistory.normalizeMatchHistory(userData.match_history).filter(entry => entry.matchId !== match.match_id);
+        const p1History = [...previousHistory(player1Data), matchHistory.createHistoryEntry({
+            ...historyBase, ...p1Score, opponentId: match.player2_id, opponentUsername: player2Data.username, result: p1Result,
+            rateBefore: player1Data.rate, rateAfter: p1NewRate, myDeck: match.player1_deck, opponentDeck: match.player2_deck
+        })];
+        const p2History = [...previousHistory(player2Data), matchHistory.createHistoryEntry({
+            ...historyBase, ...p2Score, opponentId: match.player1_id, opponentUsername: player1Data.username, result: p2Result,
+            rateBefore: player2Data.rate, rateAfter: p2NewRate, myDeck: match.player2_deck, opponentDeck: match.player1_deck
+        })];
+
+        // 途中で失敗したときに書き込んだ分を取り消せるよう、ユーザーより先に対戦へ記録する
+        await storage.matches.update(match.match_id, { rating_changes: ratingChanges });
+        // 運営が過去の対戦をやり直す場合に、その後の対戦の紐付けを消さない
+        const clearCurrentMatch = userData => (!userData.current_match_id || userData.current_match_id === match.match_id ? { currentMatchId: null } : {});
+        await updateUserData(match.player1_id, { ...p1Update, rate: p1NewRate, ...clearCurrentMatch(player1Data), matchHistory: p1History });
+        await updateUserData(match.player2_id, { ...p2Update, rate: p2NewRate, ...clearCurrentMatch(player2Data), matchHistory: p2History });
+        return { p1NewRate, p2NewRate, p1History, p2History };
+    }
+
+    // 報告が食い違った対戦を運営判定待ちにする。双方の主張は player1_report / player2_report に残る。
+    async function markMatchDisputed(match) {
+        const claimed = await withUserLocks([match.player1_id, match.player2_id], () => storage.matches.compareAndUpdate(match.match_id,
+            { status: match.status ?? null, resolved_at: null },
+            { status: 'disputed', disputed_at: new Date().toISOString() }));
+        if (!claimed) return false;
+        cancelSideboardTimer(match.match_id);
+        await updateUserData(match.player1_id, { currentMatchId: null });
+        await updateUserData(match.player2_id, { currentMatchId: null });
+        await unbindMatch(match.player1_id, match.match_id);
+        await unbindMatch(match.player2_id, match.match_id);
+
+        const payload = { type: 'report_result_response', success: true, message: '対戦結果の報告が一致しなかったため、運営の判定を待っています。', result: 'disputed' };
+        sendToUser(match.player1_id, payload);
+        sendToUser(match.player2_id, payload);
+        console.log(`Match ${match.match_id} disputed: ${match.player1_report} / ${match.player2_report}`);
+        return true;
+    }
+
+    // 双方の報告が揃った対戦 (Bo3 / Bo5 では現在のゲーム) を確定、または係争中にする
+    async function settleReports(match) {
+        const { player1_report: p1Report, player2_report: p2Report } = match;
+        let winnerId = null;
+        if (p1Report === 'win' && p2Report === 'lose') winnerId = match.player1_id;
+        if (p1Report === 'lose' && p2Report === 'win') winnerId = match.player2_id;
+        if (!winnerId) return markMatchDisputed(match);
+        if (series.isSeries(match)) return settleSeriesGame(match, winnerId);
+        return resolveMatch(match, winnerId, 'resolved', '対戦結果が確定しました！');
+    }
+
+    // =================================================================
+    // MATCH SERIES (Bo3 / Bo5)
+    // =================================================================
+    // 現在のゲームの勝者を記録する。決着がつけば対戦全体を確定し、つかなければデッキの選び直しに移る。
+    // 接続と対戦の紐付け (conn.matchId / opponentWsId) はゲームの合間も解除しない
+    async function settleSeriesGame(match, gameWinnerId) {
+        const { fields, seriesWinnerId } = series.recordGame(match, gameWinnerId, new Date().toISOString());
+        if (seriesWinnerId) return resolveMatch(match, seriesWinnerId, 'resolved', '対戦結果が確定しました！', fields);
+
+        const sideboardDeadline = Date.now() + SIDEBOARD_TIME_MS;
+        // 同じ報告の組を2つの処理が同時に確定しないよう、読み込んだ時点のゲーム番号と報告を条件にする
+        const claimed = await withUserLocks([match.player1_id, match.player2_id], () => storage.matches.compareAndUpdate(match.match_id,
+            { status: match.status ?? null, resolved_at: null, current_game: match.current_game ?? null, player1_report: match.player1_report ?? null, player2_report: match.player2_report ?? null },
+            {
+                ...fields, player1_report: null, player2_report: null,
+                series_phase: 'sideboarding', sideboard_ready: [], sideboard_deadline: new Date(sideboardDeadline).toISOString(),
+                report_deadline: new Date(sideboardDeadline + MATCH_REPORT_WINDOW_MS).toISOString()
+            }));
+        if (!claimed) return false;
+
+        const updated = { ...match, ...fields, series_phase: 'sideboarding', sideboard_ready: [], sideboard_deadline: new Date(sideboardDeadline).toISOString() };
+        scheduleSideboardTimeout(match.match_id, updated.current_game);
+        const payload = { type: 'report_result_response', success: true, message: `第${match.current_game || 1}ゲームの結果を記録しました。次のゲームのデッキを選んでください。`, result: 'game_recorded', gameWinnerUserId: gameWinnerId, series: series.formatSeries(updated) };
+        sendToUser(match.player1_id, payload);
+        sendToUser(match.player2_id, payload);
+        console.log(`Match ${match.match_id}: game ${match.current_game || 1} won by ${gameWinnerId} (${fields.player1_game_wins}-${fields.player2_game_wins})`);
+        return true;
+    }
+
+    function cancelSideboardTimer(matchId) {
+        clearTimeout(sideboardTimers.get(matchId));
+        sideboardTimers.delete(matchId);
+    }
+
+    function scheduleSideboardTimeout(matchId, gameNumber) {
+        cancelSideboardTimer(matchId);
+        sideboardTimers.set(matchId, setTimeout(() => {
+            sideboardTimers.delete(matchId);
+            startSideboardExpiredGame(matchId, gameNumber).catch(err => console.error(`Error starting next game of ${matchId}:`, err));
+        }, SIDEBOARD_TIME_MS));
+    }
+
+    // デッキの選び直しの期限が来た対戦の次のゲームを始める。
+    // タイマーはそれを張ったインスタンスにしかないため、停止したインスタンスの分は processOverdueMatches がここを呼んで拾う
+    function startSideboardExpiredGame(matchId, gameNumber) {
+        return withLock(`match:${matchId}`, async () => {
+            const match = await storage.matches.findById(matchId);
+            if (!match || match.resolved_at || match.status === 'disputed' || match.series_phase !== 'sideboarding' || match.current_game !== gameNumber) return false;
+            return startNextSeriesGame(match);
+        });
+    }
+
+    // デッキの選び直しを終えて次のゲームを始める (match:<matchId> のロックを取った状態で呼ぶ)
+    async function startNextSeriesGame(match) {
+        const started = await storage.matches.compareAndUpdate(match.match_id,
+            { status: match.status ?? null, resolved_at: null, current_game: match.current_game, series_phase: 'sideboarding' },
+            { series_phase: 'playing', sideboard_ready: [], sideboard_deadline: null, report_deadline: new Date(Date.now() + MATCH_REPORT_WINDOW_MS).toISOString() });
+        if (!started) return false;
+        cancelSideboardTimer(match.match_id);
+        const updated = { ...match, series_phase: 'playing', sideboard_ready: [], sideboard_deadline: null };
+        sendToUser(match.player1_id, { type: 'series_next_game', matchId: match.match_id, gameNumber: match.current_game, myDeck: match.player1_deck || null, series: series.formatSeries(updated) });
+        sendToUser(match.player2_id, { type: 'series_next_game', matchId: match.match_id, gameNumber: match.current_game, myDeck: match.player2_deck || null, series: series.formatSeries(updated) });
+        return true;
+    }
+
+    // 次のゲームで使うデッキを registered_decks から選ぶ (deck が null なら現在のデッキのまま)。両者が選び終えたら次のゲームを始める
+    function selectNextDeck(conn, matchId, deck) {
+        return withLock(`match:${matchId}`, async () => {
+            const match = await storage.matches.findById(matchId);
+            if (!match || (match.player1_id !== conn.userId && match.player2_id !== conn.userId)) return { error: '対戦が見つかりません。' };
+            if (match.resolved_at || match.status === 'disputed' || match.series_phase !== 'sideboarding') return { error: '現在はデッキを選び直せません。' };
+            const deckField = match.player1_id === conn.userId ? 'player1_deck' : 'player2_deck';
+            const fields = { sideboard_ready: [...new Set([...(match.sideboard_ready || []), conn.userId])] };
+            if (deck !== null && deck !== undefined) {
+                const deckName = normalizeDeckName(deck);
+                const userData = await getUserData(conn.userId);
+                if (!deckName || !series.getRegisteredDeckNames(userData?.registered_decks).includes(deckName)) return { error: '登録済みのデッキから選んでください。' };
+                fields[deckField] = deckName;
+            }
+            await storage.matches.update(matchId, fields);
+            const updated = { ...match, ...fields };
+            if (fields.sideboard_ready.length === 2 && await startNextSeriesGame(updated)) {
+                Object.assign(updated, { series_phase: 'playing', sideboard_ready: [], sideboard_deadline: null });
+            }
+            return { match: updated, deck: updated[deckField] || null };
+        });
+    }
+
+    // 報告期限を過ぎた対戦を処理する。報告しなかったプレイヤーは不戦敗とする。
+    // デッキの選び直しの期限を過ぎた Bo3 / Bo5 の対戦は次のゲームに進める。
+    async function processOverdueMatches() {
+        let sideboardExpired = [];
+        try {
+            sideboardExpired = await storage.matches.findSideboardExpired(Date.now());
+        } catch (err) {
+            console.error('Error fetching matches past the sideboard deadline:', err.message);
+        }
+        for (const match of sideboardExpired) {
+            try {
+                await startSideboardExpiredGame(match.match_id, match.current_game);
+            } catch (err) {
+                console.error(`Error starting next game of ${match.match_id}:`, err);
+            }
+        }
+
+        let overdueMatches;
+        try {
+            overdueMatches = await storage.matches.findOverdue(Date.now());
+        } catch (err) {
+            console.error('Error fetching overdue matches:', err.message);
+            return;
+        }
+        for (const match of overdueMatches) {
+            if (match.status === 'disputed') continue;
+            try {
+                const { player1_report: p1Report, player2_report: p2Report } = match;
+                if (p1Report && p2Report) {
+                    await settleReports(match);
+                } else if (p1Report || p2Report) {
+                    // 勝ちを報告していれば報告した側の不戦勝、負けを報告していれば報告どおり相手の勝ちとする
+                    const reporterId = p1Report ? match.player1_id : match.player2_id;
+                    const absentId = p1Report ? match.player2_id : match.player1_id;
+                    const reporterWon = (p1Report || p2Report) === 'win';
+                    // Bo3 / Bo5 は報告された現在のゲームも記録してから、対戦全体を同じ勝者で確定する
+                    const seriesFields = series.isSeries(match)
+                        ? { ...series.recordGame(match, reporterWon ? reporterId : absentId, new Date().toISOString()).fields, current_game: match.current_game || 1 }
+                        : {};
+                    if (reporterWon) {
+                        await resolveMatch(match, reporterId, 'forfeit', '相手が期限内に結果を報告しなかったため、不戦敗として処理しました。', seriesFields);
+                    } else {
+                        await resolveMatch(match, absentId, 'resolved', '対戦結果が確定しました！', seriesFields);
+                    }
+                } else {
+                    await resolveMatch(match, null, 'expired', '期限内に結果が報告されなかったため、対戦は無効になりました。');
+                }
+            } catch (err) {
+                console.error(`Error processing overdue match ${match.match_id}:`, err);
+            }
+        }
+    }
+
+    // =================================================================
+    // FRIENDS & DIRECT CHALLENGES
+    // =================================================================
+    // friendships: { requester_id, addressee_id, status: 'pending' | 'accepted', created_at, accepted_at }
+    function getFriendships(userId) {
+        return storage.friendships.listForUser(userId);
+    }
+
+    function findFriendship(userIdA, userIdB) {
+        return storage.friendships.findBetween(userIdA, userIdB);
+    }
+
+    async function getFriendIds(userId) {
+        const friendships = await getFriendships(userId);
+        return friendships.filter(f => f.status === 'accepted').map(f => (f.requester_id === userId ? f.addressee_id : f.requester_id));
+    }
+
+    async function areFriends(userIdA, userIdB) {
+        const friendship = await findFriendship(userIdA, userIdB);
+        return friendship?.status === 'accepted';
+    }
+
+    function isUserOnline(userId) {
+        return cluster.isUserOnline(userId);
+    }
+
+    // オンライン状態の変化をフレンドに通知する
+    async function notifyFriendsPresence(userId, username, online) {
+        try {
+            const friendIds = await getFriendIds(userId);
+            friendIds.forEach(friendId => sendToUser(friendId, { type: 'friend_presence', userId, username, online }));
+        } catch (err) {
+            console.error(`Error notifying friends of ${userId}:`, err.message);
+        }
+    }
+
+    async function buildFriendList(userId) {
+        const friendships = await getFriendships(userId);
+        const otherIds = friendships.map(f => (f.requester_id === userId ? f.addressee_id : f.requester_id));
+        const usersById = new Map((await storage.users.findManyByIds(otherIds)).map(user => [user.user_id, user]));
+        const onlineById = new Map();
+        for (const otherId of otherIds) onlineById.set(otherId, await isUserOnline(otherId));
+        const toEntry = otherId => {
+            const user = usersById.get(otherId);
+            return { userId: otherId, username: user?.username || null, rate: user?.rate ?? null, online: onlineById.get(otherId) };
+        };
+        return {
+            friends: friendships.filter(f => f.status === 'accepted').map(f => toEntry(f.requester_id === userId ? f.addressee_id : f.requester_id)),
+            incomingRequests: friendships.filter(f => f.status === 'pending' && f.addressee_id === userId).map(f => toEntry(f.requester_id)),
+            outgoingRequests: friendships.filter(f => f.status === 'pending' && f.requester_id === userId).map(f => toEntry(f.addressee_id))
+        };
+    }
+
+    async function updateUserChallengeIds(userId, update) {
+        const key = `user_challenges:${userId}`;
+        const challengeIds = update((await sharedState.getValue(key)) || []);
+        if (challengeIds.length > 0) await sharedState.setValue(key, challengeIds, CHALLENGE_TIMEOUT_MS);
+        else await sharedState.deleteValue(key);
+    }
+
+    async function saveChallenge(challenge) {
+        await sharedState.setValue(`challenge:${challenge.challengeId}`, challenge, CHALLENGE_TIMEOUT_MS);
+        for (const userId of [challenge.challengerId, challenge.targetId]) {
+            await updateUserChallengeIds(userId, ids => [...ids, challenge.challengeId]);
+        }
+        challengeTimers.set(challenge.challengeId, setTimeout(() => {
+            expireChallenge(challenge.challengeId).catch(err => console.error('Error expiring challenge:', err));
+        }, CHALLENGE_TIMEOUT_MS));
+    }
+
+    function getChallenge(challengeId) {
+        return sharedState.getValue(`challenge:${challengeId}`);
+    }
+
+    // 申し込みを取り出す。他のインスタンスが先に取り出していた場合は null
+    async function removeChallenge(challengeId) {
+        const challenge = await getChallenge(challengeId);
+        if (!challenge || !(await sharedState.deleteValue(`challenge:${challengeId}`))) return null;
+        clearTimeout(challengeTimers.get(challengeId));
+        challengeTimers.delete(challengeId);
+        for (const userId of [challenge.challengerId, challenge.targetId]) {
+            await updateUserChallengeIds(userId, ids => ids.filter(id => id !== challengeId));
+        }
+        return challenge;
+    }
+
+    async function expireChallenge(challengeId) {
+        const challenge = await removeChallenge(challengeId);
+        if (!challenge) return;
+        const payload = { type: 'challenge_expired', challengeId, message: '対戦の申し込みが期限切れになりました。' };
+        sendToUser(challenge.challengerId, payload);
+        sendToUser(challenge.targetId, payload);
+    }
+
+    // ログアウト・切断したユーザーが関わる申し込みを取り消す
+    async function cancelChallengesForUser(userId) {
+        try {
+            const challengeIds = (await sharedState.getValue(`user_challenges:${userId}`)) || [];
+            for (const challengeId of challengeIds) {
+                const challenge = await removeChallenge(challengeId);
+                if (!challenge) continue;
+                const otherId = challenge.challengerId === userId ? challenge.targetId : challenge.challengerId;
+                sendToUser(otherId, { type: 'challenge_cancelled', challengeId, message: '相手がオフラインになったため、対戦の申し込みは取り消されました。' });
+            }
+        } catch (err) {
+            console.error(`Error cancelling challenges for ${userId}:`, err);
+        }
+    }
+
+    // =================================================================
+    // TOURNAMENTS
+    // =================================================================
+    // 大会の状態は tournaments テーブルにのみ保持する (再起動や他のインスタンスからの更新に備え、操作のたびに読み込む)
+    function tournamentFromRow(row) {
+        return {
+            tournamentId: row.tournament_id,
+            name: row.name,
+            format: row.format,
+            status: row.status,
+            organizerId: row.organizer_id,
+            totalRounds: row.total_rounds,
+            rated: row.is_rated !== false,
+            players: row.players || [],
+            rounds: row.rounds || [],
+            createdAt: row.created_at
+        };
+    }
+
+    async function saveTournament(tournament) {
+        await storage.tournaments.save({
+            tournament_id: tournament.tournamentId,
+            name: tournament.name,
+            format: tournament.format,
+            status: tournament.status,
+            organizer_id: tournament.organizerId,
+            total_rounds: tournament.totalRounds,
+            is_rated: tournament.rated,
+            players: tournament.players,
+            rounds: tournament.rounds,
+            created_at: tournament.createdAt,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    async function fetchTournament(tournamentId) {
+        const row = await storage.tournaments.findById(tournamentId);
+        return row ? tournamentFromRow(row) : null;
+    }
+
+    // 大会を読み込んで更新する処理は、インスタンスをまたいで1つずつ実行する
+    function withTournament(tournamentId, task) {
+        return withLock(`tournament:${tournamentId}`, async () => task(await fetchTournament(tournamentId)));
+    }
+
+    function formatTournamentForClient(tournament) {
+        return {
+            tournamentId: tournament.tournamentId,
+            name: tournament.name,
+            format: tournament.format,
+            status: tournament.status,
+            organizerId: tournament.organizerId,
+            totalRounds: tournament.totalRounds,
+            currentRound: tournament.rounds.length,
+            rated: tournament.rated,
+            players: tournament.players.map(({ userId, username, deck, seed, dropped }) => ({ userId, username, deck: deck || null, seed, dropped: !!dropped })),
+            rounds: tournament.rounds,
+            standings: tournamentRules.computeStandings(tournament).map(({ opponents, ...standing }) => standing)
+        };
+    }
+
+    function formatTournamentSummary(tournament) {
+        return {
+            tournamentId: tournament.tournamentId,
+            name: tournament.name,
+            format: tournament.format,
+            status: tournament.status,
+            playerCount: tournament.players.length,
+            currentRound: tournament.rounds.length,
+            totalRounds: tournament.totalRounds
+        };
+    }
+
+    function broadcastTournamentUpdate(tournament, event) {
+        const payload = { type: 'tournament_update', event, tournament: formatTournamentForClient(tournament) };
+        const recipientIds = new Set([tournament.organizerId, ...tournament.players.map(player => player.userId)]);
+        recipientIds.forEach(userId => sendToUser(userId, payload));
+    }
+
+    function canManageTournament(conn, tournament) {
+        return conn.userId === tournament.organizerId || hasRole(conn, 'admin');
+    }
+
+    // 次のラウンドの組み合わせを作り、各対戦を開始する
+    async function startTournamentRound(tournament) {
+        if (tournament.status === 'registration') {
+            if (tournament.players.length < 2) throw new Error('参加者が2人以上必要です。');
+            // 開始時点のレート順にシードを付ける
+            const users = await storage.users.findManyByIds(tournament.players.map(player => player.userId));
+            const rateById = new Map(users.map(user => [user.user_id, user.rate]));
+            [...tournament.players]
+                .sort((a, b) => (rateById.get(b.userId) ?? 0) - (rateById.get(a.userId) ?? 0))
+                .forEach((player, index) => { player.seed = index + 1; });
+            if (tournament.format === 'swiss' && !tournament.totalRounds) {
+                tournament.totalRounds = tournamentRules.getDefaultSwissRounds(tournament.players.length);
+            }
+            tournament.status = 'running';
+        } else if (tournament.status !== 'running') {
+            throw new Error('この大会は終了しています。');
+        }
+
+        const lastRound = tournament.rounds[tournament.rounds.length - 1];
+        if (lastRound && !tournamentRules.isRoundComplete(lastRound)) throw new Error('前のラウンドが終了していません。');
+        if (tournamentRules.isTournamentComplete(tournament)) throw new Error('全ラウンドが終了しています。');
+
+        const pairings = tournament.format === 'swiss'
+            ? tournamentRules.pairSwissRound(tournament)
+            : tournamentRules.pairEliminationRound(tournament);
+        // 別の対戦が終わっていないプレイヤーには新しい対戦を割り当てない
+        const pairedUserIds = pairings.flatMap(pairing => (pairing.player2Id ? [pairing.player1Id, pairing.player2Id] : []));
+        for (const userData of await storage.users.findManyByIds(pairedUserIds)) {
+            if (await hasOpenMatch(userData)) throw new Error(`${userData.username} さんが対戦中のため、ラウンドを開始できません。`);
+        }
+        // 全対戦を作ってからラウンドを保存する。作成中に確定した対戦の結果は大会のロック (呼び出し元が持つ) を待つので、保存後の組み合わせに記録される
+        const deckOf = userId => tournament.players.find(player => player.userId === userId)?.deck || null;
+        const createdMatchIds = [];
+        try {
+            for (const pairing of pairings) {
+                if (!pairing.player2Id) continue;
+                pairing.matchId = await createMatch(pairing.player1Id, pairing.player2Id, {
+                    matchType: 'tournament', tournamentId: tournament.tournamentId, rated: tournament.rated,
+                    decks: [deckOf(pairing.player1Id), deckOf(pairing.player2Id)]
+                });
+                createdMatchIds.push(pairing.matchId);
+            }
+        } catch (err) {
+            // 途中で失敗した場合はラウンドを保存せず、作った対戦は無効にする
+            for (const matchId of createdMatchIds) {
+                const match = await storage.matches.findById(matchId).catch(() => null);
+                if (!match) continue;
+                await resolveMatch(match, null, 'void', '大会のラウンドを開始できなかったため、対戦は無効になりました。')
+                    .catch(voidErr => console.error(`Error voiding tournament match ${matchId}:`, voidErr));
+            }
+            throw err;
+        }
+        tournament.rounds.push({ round: tournament.rounds.length + 1, pairings });
+        await saveTournament(tournament);
+        broadcastTournamentUpdate(tournament, 'round_started');
+        await completeTournamentRoundIfDone(tournament);
+    }
+
+    async function completeTournamentRoundIfDone(tournament) {
+        const lastRound = tournament.rounds[tournament.rounds.length - 1];
+        if (!tournamentRules.isRoundComplete(lastRound)) return;
+        if (tournamentRules.isTournamentComplete(tournament)) {
+            tournament.status = 'finished';
+            await saveTournament(tournament);
+            broadcastTournamentUpdate(tournament, 'finished');
+            console.log(`Tournament ${tournament.name} finished.`);
+        } else {
+            broadcastTournamentUpdate(tournament, 'round_completed');
+        }
+    }
+
+    // report_result 経由で確定した大会の対戦結果を記録する。
+    // resolveMatch は大会のロックを持った処理 (運営による変更・ラウンドの開始) からも呼ばれるため、完了を待たずに呼び出す。例外はここで止める
+    async function recordTournamentResult(tournamentId, matchId, winnerId) {
+        try {
+            await withTournament(tournamentId, async tournament => {
+                if (tournament) await applyTournamentResult(tournament, matchId, winnerId);
+            });
+        } catch (err) {
+            console.error(`Error recording tournament result for ${tournamentId}:`, err);
+        }
+    }
+
+    // 組み合わせに対戦結果を書き込む (大会のロックを取った状態で呼ぶ)。
+    // 記録済みの組み合わせは運営による変更として勝者を差し替える。順位は組み合わせの結果から計算し直される
+    async function applyTournamentResult(tournament, matchId, winnerId) {
+        const pairing = tournament.rounds.flatMap(round => round.pairings).find(p => p.matchId === matchId);
+        if (!pairing) return;
+        if (!winnerId && tournament.format === 'single_elimination') {
+            // 無効試合でも勝ち上がりは必要なので上位シードを進める
+            const seedOf = userId => tournament.players.find(player => player.userId === userId)?.seed ?? Infinity;
+            winnerId = seedOf(pairing.player1Id) <= seedOf(pairing.player2Id) ? pairing.player1Id : pairing.player2Id;
+        }
+        if (pairing.status === 'done') {
+            if ((pairing.winnerId ?? null) === (winnerId ?? null)) return;
+            pairing.winnerId = winnerId;
+            await saveTournament(tournament);
+            broadcastTournamentUpdate(tournament, 'result_corrected');
+            return;
+        }
+        pairing.winnerId = winnerId; // スイスドローで null の場合は引き分け扱い
+        pairing.status = 'done';
+        await saveTournament(tournament);
+        await completeTournamentRoundIfDone(tournament);
+    }
+
+    // =================================================================
+    // SEASONS
+    // =================================================================
+    // seasons: { season_id, season_number, name, starts_at, ends_at, status: 'scheduled' | 'active' | 'archived' }
+    // season_leaderboards: { season_id, rank, user_id, username, rate } (シーズン終了時点の最終順位)
+    async function loadCurrentSeason() {
+        currentSeason = await storage.seasons.findActive();
+    }
+
+    function formatSeasonForClient(season) {
+        if (!season) return null;
+        return { seasonId: season.season_id, seasonNumber: season.season_number, name: season.name, startsAt: season.starts_at, endsAt: season.ends_at, status: season.status };
+    }
+
+    // 予約済みのシーズンがあれば最も早いものを開始日時が来た時点で開始し、なければ同じ長さの新しいシーズンを開始する。
+    // 予約済みのシーズンがまだ始まらない間はシーズンなし (currentSeason = null) のまま待つ
+    async function activateNextSeason(startsAt) {
+        const scheduled = await storage.seasons.findNextScheduled();
+        if (scheduled && Date.parse(scheduled.starts_at) > Date.now()) {
+            currentSeason = null;
+            return null;
+        }
+        if (scheduled) {
+            await storage.seasons.update(scheduled.season_id, { status: 'active' });
+            currentSeason = { ...scheduled, status: 'active' };
+        } else {
+            const seasonNumber = (await storage.seasons.count()) + 1;
+            const start = new Date(startsAt || Date.now());
+            const season = {
+                season_id: uuidv4(),
+                season_number: seasonNumber,
+                name: `シーズン${seasonNumber}`,
+                starts_at: start.toISOString(),
+                ends_at: new Date(start.getTime() + SEASON_LENGTH_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+                status: 'active'
+            };
+            await storage.seasons.create(season);
+            currentSeason = season;
+        }
+        console.log(`Season started: ${currentSeason.name} (until ${currentSeason.ends_at})`);
+        return currentSeason;
+    }
+
+    async function fetchAllUsersByRate() {
+        const users = [];
+        for (let offset = 0; ; offset += SEASON_PAGE_SIZE) {
+            const page = await storage.users.listByRate({ offset, limit: SEASON_PAGE_SIZE });
+            users.push(...page);
+            if (page.length < SEASON_PAGE_SIZE) return users;
+        }
+    }
+
+    // 最終順位を保存し、全員のレートを 1500 に向けて縮め、配置戦をやり直させる。
+    // 途中で失敗しても次のロールオーバーで続きから再実行できるよう、順位の保存済み (leaderboard_saved_at) と
+    // ユーザーごとのリセット済み (last_reset_season_id) を記録する
+    async function archiveSeason(season) {
+        const users = await fetchAllUsersByRate();
+        if (!season.leaderboard_saved_at) {
+            // 前回途中まで保存した順位は、まだ誰もリセットしていないので作り直せばよい
+            await storage.leaderboards.deleteForSeason(season.season_id);
+            const snapshot = users.map((user, index) => ({ season_id: season.season_id, rank: index + 1, user_id: user.user_id, username: user.username, rate: user.rate }));
+            for (let i = 0; i < snapshot.length; i += SEASON_PAGE_SIZE) {
+                await storage.leaderboards.insertMany(snapshot.slice(i, i + SEASON_PAGE_SIZE));
+            }
+            await storage.seasons.update(season.season_id, { leaderboard_saved_at: new Date().toISOString() });
+        }
+        for (const user of users) {
+            await updateUserRating(user.user_id, userData => {
+                if (userData.last_reset_season_id === season.season_id) return null;
+                return {
+                    ...ratingStateToUpdate(ratingEngine.seasonReset(ratingStateFromUser(userData), SEASON_RESET_FACTOR)),
+                    placementGamesPlayed: 0,
+                    lastResetSeasonId: season.season_id
+                };
+            });
+        }
+        await storage.seasons.update(season.season_id, { status: 'archived' });
+        console.log(`Season archived: ${season.name} (${users.length} players)`);
+    }
+
+    async function processSeasonRollover() {
+        if (seasonRolloverInProgress) return;
+        seasonRolloverInProgress = true;
+        try {
+            // 他のインスタンスが切り替えている場合に備え、毎回読み込み直す
+            await loadCurrentSeason();
+            if (currentSeason && Date.parse(currentSeason.ends_at) > Date.now()) return;
+            await runExclusive('season_rollover', async () => {
+                await loadCurrentSeason();
+                if (!currentSeason) {
+                    if (await activateNextSeason()) await cluster.broadcast({ type: 'season_started', season: formatSeasonForClient(currentSeason), previousSeasonId: null });
+                } else if (Date.parse(currentSeason.ends_at) <= Date.now()) {
+                    const endedSeason = currentSeason;
+                    await archiveSeason(endedSeason);
+                    if (await activateNextSeason(endedSeason.ends_at)) {
+                        await cluster.broadcast({ type: 'season_started', season: formatSeasonForClient(currentSeason), previousSeasonId: endedSeason.season_id });
+                    }
+                }
+            }, SEASON_ROLLOVER_LOCK_MS);
+        } catch (err) {
+            console.error('Error processing season rollover:', err);
+        } finally {
+            seasonRolloverInProgress = false;
+        }
+    }
+
+    // 対戦していないプレイヤーのレーティング偏差を、経過したレーティング期間の分だけ大きくする
+    async function applyRatingDecay() {
+        if (!ratingEngine.usesDeviation) return;
+        try {
+            const now = Date.now();
+            const users = await fetchAllUsersByRate();
+            for (const user of users) {
+                await updateUserRating(user.user_id, userData => {
+                    const state = ratingStateFromUser(userData);
+                    const decayed = ratingEngine.decay(state, now);
+                    if (decayed.updatedAt === state.updatedAt) return null;
+                    return { ratingDeviation: decayed.deviation, ratingUpdatedAt: new Date(decayed.updatedAt).toISOString() };
+                });
+            }
+        } catch (err) {
+            console.error('Error applying rating decay:', err);
+        }
+    }
+
+    // ランキングの取得。設定に応じて偏差の大きい (暫定の) プレイヤーを除外する
+    async function getRankingPage({ offset = 0, limit = 100 } = {}) {
+        const maxDeviation = ratingEngine.usesDeviation ? RANKING_MAX_DEVIATION : null;
+        const [users, total] = await Promise.all([
+            storage.users.listByRate({ offset, limit, maxDeviation }),
+            storage.users.countByRate({ maxDeviation })
+        ]);
+        return { users, total };
+    }
+
+    async function getSeasonPlacements(userId) {
+        const rows = await storage.leaderboards.listForUser(userId);
+        return rows.map(row => ({ seasonId: row.season_id, rank: row.rank, rate: row.rate }));
+    }
+
+    // =================================================================
+    // MODERATION
+    // =================================================================
+    // users: role ('user' | 'moderator' | 'admin'), is_banned, banned_until, ban_reason, muted_until
+    // audit_log: { log_id, actor_id, actor_username, action, target_user_id, target_match_id, target_room_id, reason, details, created_at }
+    function hasRole(conn, role) {
+        return ROLES.indexOf(conn.role) >= ROLES.indexOf(role);
+    }
+
+    // banned_until が null の BAN は無期限
+    function isBanned(userData, now = Date.now()) {
+        return !!userData.is_banned && (!userData.banned_until || Date.parse(userData.banned_until) > now);
+    }
+
+    function formatBanMessage(userData) {
+        const reasonText = userData.ban_reason ? ` 理由: ${userData.ban_reason}` : '';
+        if (!userData.banned_until) return `このアカウントは利用停止されています。${reasonText}`;
+        return `このアカウントは ${new Date(userData.banned_until).toLocaleString('ja-JP')} まで利用停止されています。${reasonText}`;
+    }
+
+    async function writeAuditLog(conn, action, { targetUserId = null, targetMatchId = null, targetRoomId = null, reason = null, details = null } = {}) {
+        try {
+            await storage.auditLog.insert({
+                log_id: uuidv4(), actor_id: conn.userId, actor_username: conn.username, action,
+                target_user_id: targetUserId, target_match_id: targetMatchId, target_room_id: targetRoomId,
+                reason: reason || null, details, created_at: new Date().toISOString()
+            });
+        } catch (err) {
+            console.error(`Error writing audit log (${action}):`, err.message);
+        }
+    }
+
+    // 対象のユーザーを取得する。自分と同じかそれ以上の権限を持つユーザーは操作できない。
+    async function getModerationTarget(conn, username) {
+        const targetId = await getUserIdByUsername(username);
+        const target = targetId ? await getUserData(targetId) : null;
+        if (!target) return { error: 'ユーザーが見つかりません。' };
+        if (target.user_id === conn.userId) return { error: '自分自身は対象にできません。' };
+        if (ROLES.indexOf(target.role || 'user') >= ROLES.indexOf(conn.role)) return { error: '権限がありません。' };
+        return { target };
+    }
+
+    function updateModerationFields(userId, fields) {
+        return storage.users.update(userId, fields);
+    }
+
+    // 権限やミュートの変更を、ログイン中の接続 (他のインスタンスを含む) に反映する
+    cluster.onEvent('moderation_update', ({ userId, role, mutedUntil }) => {
+        connections.forEach(conn => {
+            if (conn.userId !== userId) return;
+            if (role !== undefined) conn.role = role;
+            if (mutedUntil !== undefined) conn.mutedUntil = mutedUntil;
+        });
     });
-    console.log(`Broadcast list updated. Sent to ${wss.clients.size} clients.`);
-}
 
-wss.on('connection', ws => {
-    const wsId = uuidv4();
-    connections.set(ws, { wsId, userId: null, username: null, matchId: null, opponentWsId: null });
-    wsIdToWs.set(wsId, ws);
-    console.log(`Client connected: ${wsId}. Total: ${connections.size}`);
-    
-    ws.send(JSON.stringify({ type: 'broadcast_list_update', list: Array.from(spectateRooms.values()).map(r => ({ roomId: r.roomId, broadcasterUsername: r.broadcasterUsername })) }));
-    broadcastQueueCount(); // 新規接続時に現在のキュー人数を送信
+    async function closeRoomsOfUser(userId, message) {
+        let closed = false;
+        for (const room of await sharedState.listRooms()) {
+            if (room.broadcasterUserId !== userId) continue;
+            await cluster.sendToWs(room.broadcasterWsId, { type: 'broadcast_closed', roomId: room.roomId, message });
+            await closeSpectateRoom(room);
+            closed = true;
+        }
+        if (closed) await broadcastListUpdate();
+    }
 
-    ws.on('message', async message => {
-        let data;
-        try { data = JSON.parse(message); } catch (e) { return; }
+    // 確定済みの対戦のレート変動を取り消し、双方の戦績から取り除く (両プレイヤーのロックを取った状態で呼ぶ)。
+    // 確定の途中で失敗した対戦にも使うため、戦績にこの対戦が残っていないプレイヤーは書き込まれていないものとして飛ばす
+    async function rollbackMatchResult(match) {
+        for (const userId of [match.player1_id, match.player2_id]) {
+            const userData = await getUserData(userId);
+            if (!userData) continue;
+            const history = matchHistory.normalizeMatchHistory(userData.match_history);
+            if (!history.some(entry => entry.matchId === match.match_id)) continue;
+            const update = { matchHistory: history.filter(entry => entry.matchId !== match.match_id) };
+            const change = match.rating_changes?.[userId];
+            if (change) {
+                const current = ratingStateFromUser(userData);
+                // 戦績の最後がこの対戦でレートも確定時のままなら偏差なども含めて元に戻し、その後に対戦やシーズンのリセットがあればレートの増減だけを戻す。
+                // 偏差の時間経過 (applyRatingDecay) でも updatedAt は進むので、判定には使わない
+                const isLatest = history.length > 0 && history[history.length - 1].matchId === match.match_id;
+                const restored = isLatest && current.rate === change.after.rate
+                    ? change.before
+                    : { ...current, rate: current.rate - (change.after.rate - change.before.rate) };
+                Object.assign(update, ratingStateToUpdate(restored));
+                if (change.placementCounted) update.placementGamesPlayed = Math.max(0, getPlacementGamesPlayed(userData) - 1);
+            }
+            await updateUserData(userId, update);
+        }
+    }
+
+    // 運営の判断で対戦結果を確定し直す。winnerId が null なら無効試合。
+    async function overrideMatchResult(matchId, winnerId) {
+        const match = await storage.matches.findById(matchId);
+        if (!match) return { error: '対戦が見つかりません。' };
+        if (winnerId && winnerId !== match.player1_id && winnerId !== match.player2_id) return { error: '勝者はこの対戦の参加者を指定してください。' };
+        if (!match.tournament_id) return resolveOverriddenMatch(match, winnerId);
+        // 大会の対戦は、確定し直してから組み合わせに反映するまでの間に次のラウンドが始まらないよう、大会のロックの中で行う
+        return withTournament(match.tournament_id, async tournament => {
+            const roundIndex = tournament ? tournament.rounds.findIndex(round => round.pairings.some(pairing => pairing.matchId === matchId)) : -1;
+            // シングルエリミネーションの次のラウンドは勝者で組まれているので、始まった後は結果を変えられない
+            if (tournament?.format === 'single_elimination' && roundIndex !== -1 && roundIndex < tournament.rounds.length - 1) {
+                return { error: '次のラウンドが始まっているため、この大会の対戦結果は変更できません。' };
+            }
+            const overridden = await resolveOverriddenMatch(match, winnerId);
+            if (!overridden.error && tournament) await applyTournamentResult(tournament, matchId, winnerId);
+            return overridden;
+        });
+    }
+
+    async function resolveOverriddenMatch(match, winnerId) {
+        const previous = { status: match.status || null, resolution: match.resolution || null, winnerId: match.winner_id || null };
+        const resolved = await resolveMatch(match, winnerId, winnerId ? 'admin' : 'void', winnerId ? '運営の判定により対戦結果が確定しました。' : '運営の判定により対戦は無効になりました。');
+        if (!resolved) return { error: '対戦の状態が変更されたため、処理できませんでした。もう一度お試しください。' };
+        return { match, previous };
+    }
+
+    // =================================================================
+    // GAME EVENT LOG & REPLAYS
+    // =================================================================
+    // 対戦中の操作を記録する。seq が直前のイベントに続いていない場合は記録せず、次に送るべき seq を返す。
+    async function recordGameAction(conn, { matchId, game = 1, turn, seq, action }) {
+        if (!conn.userId || conn.matchId !== matchId) return { error: '進行中の対戦ではありません。' };
+        const lastEvent = await storage.matchEvents.findLast(matchId);
+        if ((lastEvent?.seq ?? 0) >= MAX_MATCH_EVENTS) return { error: 'この対戦の記録は上限に達しています。' };
+        const sequenceError = replays.checkEventSequence(lastEvent, { seq, game, turn });
+        if (sequenceError) return { error: sequenceError.message, expectedSeq: sequenceError.expectedSeq };
+
+        const event = { match_id: matchId, seq, game_number: game, turn, player_id: conn.userId, action, created_at: new Date().toISOString() };
+        // 相手が同じ seq を同時に送った場合は先に書き込まれた方だけを残す
+        if (!(await storage.matchEvents.append(event))) {
+            const latest = await storage.matchEvents.findLast(matchId);
+            return { error: 'イベントの順序が前後しました。', expectedSeq: (latest?.seq ?? 0) + 1 };
+        }
+        return { event: replays.formatEvent(event) };
+    }
+
+    // 相手と、対戦に紐付いた観戦ルームの観戦者に操作を中継する
+    async function relayGameAction(conn, matchId, event) {
+        await cluster.sendToWs(conn.opponentWsId, { type: 'game_action', matchId, event });
+        for (const room of await sharedState.listRooms()) {
+            if (room.matchId !== matchId) continue;
+            for (const spectatorWsId of room.spectatorIds) {
+                await cluster.sendToWs(spectatorWsId, { type: 'spectate_game_action', roomId: room.roomId, matchId, event });
+            }
+        }
+    }
+
+    // 確定済みの対戦は誰でも、進行中の対戦は参加者・運営・対戦に紐付いた観戦ルームの観戦者のみ閲覧できる
+    async function canViewReplay(conn, match) {
+        if (match.resolved_at) return true;
+        if (conn.userId && (conn.userId === match.player1_id || conn.userId === match.player2_id)) return true;
+        if (hasRole(conn, 'moderator')) return true;
+        const rooms = await sharedState.listRooms();
+        return rooms.some(room => room.matchId === match.match_id && room.spectatorIds.includes(conn.wsId));
+    }
+
+    async function getReplay(match) {
+        const events = await storage.matchEvents.listForMatch(match.match_id);
+        const players = await storage.users.findManyByIds([match.player1_id, match.player2_id]);
+        return replays.buildReplay(match, events, new Map(players.map(user => [user.user_id, user.username])));
+    }
+
+    // =================================================================
+    // DISCONNECT & RECONNECT
+    // =================================================================
+    function cancelDisconnectTimer(userId) {
+        const pending = disconnectedPlayers.get(userId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        disconnectedPlayers.delete(userId);
+    }
 
+    // 対戦が終了したら接続と対戦の紐付けを解除する
+    async function unbindMatch(userId, matchId) {
+        if (disconnectedPlayers.get(userId)?.matchId === matchId) cancelDisconnectTimer(userId);
+        await cluster.dispatch(await sharedState.getUserSocket(userId), 'unbind_match', { matchId });
+    }
+
+    // 接続がどのインスタンスにあっても、対戦の紐付けはその接続を持つインスタンスで行う
+    cluster.onAction('bind_match', (ws, { matchId, opponentWsId }) => {
         const conn = connections.get(ws);
         if (!conn) return;
+        conn.matchId = matchId;
+        conn.opponentWsId = opponentWsId || null;
+    });
+    cluster.onAction('unbind_match', (ws, { matchId }) => {
+        const conn = connections.get(ws);
+        if (conn && conn.matchId === matchId) {
+            conn.matchId = null;
+            conn.opponentWsId = null;
+        }
+    });
+    // 切断したインスタンスとは別のインスタンスで再接続した場合も猶予タイマーを止める
+    cluster.onEvent('player_reconnected', ({ userId, matchId }) => {
+        if (disconnectedPlayers.get(userId)?.matchId === matchId) cancelDisconnectTimer(userId);
+    });
+
+    // 対戦中の切断。猶予期間内に再接続しなければ放棄として処理する。
+    async function handleMatchDisconnect(userId, matchId) {
+        try {
+            const match = await storage.matches.findById(matchId);
+            if (!match || match.resolved_at || match.status === 'disputed') return;
+            const isPlayer1 = match.player1_id === userId;
+            // 既に結果を報告済みのプレイヤーは報告期限の処理に任せる
+            if (match[isPlayer1 ? 'player1_report' : 'player2_report']) return;
+
+            const opponentId = isPlayer1 ? match.player2_id : match.player1_id;
+            const deadline = Date.now() + RECONNECT_GRACE_MS;
+            cancelDisconnectTimer(userId);
+            disconnectedPlayers.set(userId, {
+                matchId, opponentId, deadline,
+                timer: setTimeout(() => abandonMatch(userId), RECONNECT_GRACE_MS)
+            });
+            sendToUser(opponentId, { type: 'opponent_disconnected', matchId, reconnectDeadline: deadline, graceSeconds: RECONNECT_GRACE_MS / 1000 });
+            console.log(`Player ${userId} disconnected from match ${matchId}. Waiting for reconnect.`);
+        } catch (err) {
+            console.error(`Error handling disconnect for match ${matchId}:`, err);
+        }
+    }
+
+    async function abandonMatch(userId) {
+        const pending = disconnectedPlayers.get(userId);
+        if (!pending) return;
+        disconnectedPlayers.delete(userId);
+        try {
+            // 通知の行き違いで、既に別のインスタンスに再接続していた場合
+            if (await cluster.isUserOnline(userId)) return;
+            const match = await storage.matches.findById(pending.matchId);
+            if (!match || match.resolved_at || match.status === 'disputed') return;
+            // 双方とも戻らなかった場合は無効試合にする
+            const opponentAlsoGone = !(await cluster.isUserOnline(pending.opponentId));
+            if (opponentAlsoGone) cancelDisconnectTimer(pending.opponentId);
+            await resolveMatch(match, opponentAlsoGone ? null : pending.opponentId, 'abandoned', '切断したプレイヤーが時間内に再接続しなかったため、対戦を終了しました。');
+        } catch (err) {
+            console.error(`Error abandoning match ${pending.matchId}:`, err);
+        }
+    }
+
+    // ログイン時、進行中の対戦があれば接続を再び紐付ける
+    // current_match_id が未決着の対戦を指しているか (決着済み・無効化済みの対戦が残っているだけなら false)
+    async function hasOpenMatch(userData) {
+        if (!userData?.current_match_id) return false;
+        const match = await storage.matches.findById(userData.current_match_id);
+        return !!match && !match.resolved_at && match.status !== 'disputed';
+    }
+
+    async function resumeMatch(ws, conn, matchId) {
+        const match = await storage.matches.findById(matchId);
+        if (!match || match.resolved_at || match.status === 'disputed') {
+            await updateUserData(conn.userId, { currentMatchId: null });
+            return;
+        }
+        const opponentId = match.player1_id === conn.userId ? match.player2_id : match.player1_id;
+        const opponentWsId = await sharedState.getUserSocket(opponentId);
+
+        cancelDisconnectTimer(conn.userId);
+        await cluster.publishEvent('player_reconnected', { userId: conn.userId, matchId });
+        conn.matchId = matchId;
+        conn.opponentWsId = opponentWsId;
+        if (opponentWsId) {
+            await cluster.dispatch(opponentWsId, 'bind_match', { matchId, opponentWsId: conn.wsId });
+            await cluster.sendToWs(opponentWsId, { type: 'opponent_reconnected', matchId });
+        }
+
+        const opponentUsername = (await getUserData(opponentId))?.username;
+        // 再接続した側から WebRTC 接続を張り直す
+        ws.send(JSON.stringify({ type: 'match_resumed', matchId, opponentUserId: opponentId, opponentUsername, opponentOnline: !!opponentWsId, isInitiator: true, series: series.formatSeries(match) }));
+        console.log(`${conn.username} resumed match ${matchId}`);
+    }
+
+    async function getBroadcastList() {
+        return (await sharedState.listRooms()).map(formatRoomForClient);
+    }
+
+    function formatRoomForClient(room) {
+        return {
+            roomId: room.roomId,
+            broadcasterUsername: room.broadcasterUsername,
+            title: room.title,
+            matchId: room.matchId || null,
+            visibility: room.visibility,
+            maxSpectators: room.maxSpectators ?? null,
+            spectatorCount: room.spectatorIds.length,
+            chatSlowModeSeconds: room.chatSlowModeSeconds
+        };
+    }
+
+    // getRoom で得たルームの設定を保存する (観戦者の一覧は addRoomSpectator / removeRoomSpectator で管理する)
+    function saveRoomSettings(room) {
+        const { spectatorIds, ...settings } = room;
+        return sharedState.saveRoom(settings);
+    }
+
+    // start_broadcast / update_broadcast_settings の設定を反映する。問題があればエラーメッセージを返す。
+    async function applyRoomSettings(room, data) {
+        if (typeof data.title === 'string') room.title = data.title.trim().slice(0, ROOM_TITLE_MAX_LENGTH) || room.title;
+        if (data.maxSpectators !== undefined) room.maxSpectators = data.maxSpectators; // null で上限なし
+        if (Number.isInteger(data.chatSlowModeSeconds)) room.chatSlowModeSeconds = data.chatSlowModeSeconds;
+        if (typeof data.visibility === 'string') {
+            if (data.visibility === 'password' && !data.password && !(room.visibility === 'password' && room.passwordHash)) {
+                return 'パスワードを指定してください。';
+            }
+            room.visibility = data.visibility;
+        }
+        if (room.visibility !== 'password') room.passwordHash = null;
+        else if (data.password) room.passwordHash = await bcrypt.hash(data.password, BCRYPT_SALT_ROUNDS);
+        return null;
+    }
+
+    // 観戦できるかを確認する。できない場合は理由を返す。
+    async function checkSpectateAccess(room, conn, password) {
+        if (room.broadcasterWsId === conn.wsId) return '自分の配信は観戦できません。';
+        if (room.bannedWsIds.includes(conn.wsId) || (conn.userId && room.bannedUserIds.includes(conn.userId))) return 'この配信の観戦は禁止されています。';
+        if (room.visibility === 'friends') {
+            if (!conn.userId || !(conn.userId === room.broadcasterUserId || await areFriends(conn.userId, room.broadcasterUserId))) {
+                return 'この配信は配信者のフレンドのみ観戦できます。';
+            }
+        } else if (room.visibility === 'password') {
+            if (!password || !room.passwordHash || !(await bcrypt.compare(password, room.passwordHash))) return 'パスワードが正しくありません。';
+        }
+        if (room.maxSpectators && !room.spectatorIds.includes(conn.wsId) && room.spectatorIds.length >= room.maxSpectators) {
+            return '観戦者数が上限に達しています。';
+        }
+        return null;
+    }
+
+    async function removeSpectator(room, spectatorId) {
+        const removed = await sharedState.removeRoomSpectator(room.roomId, spectatorId);
+        await sharedState.deleteValue(`room_spectator:${room.roomId}:${spectatorId}`);
+        return removed;
+    }
+
+    // 配信者と観戦者全員にルームのメッセージを送る
+    async function sendToRoom(room, payload) {
+        for (const memberWsId of [room.broadcasterWsId, ...room.spectatorIds]) {
+            await cluster.sendToWs(memberWsId, payload);
+        }
+    }
+
+    async function broadcastListUpdate() {
+        try {
+            await cluster.broadcast({ type: 'broadcast_list_update', list: await getBroadcastList() });
+            console.log('Broadcast list updated.');
+        } catch (err) {
+            console.error('Error broadcasting list update:', err);
+        }
+    }
+
+    async function closeSpectateRoom(room) {
+        await sharedState.deleteRoom(room.roomId);
+        for (const spectatorId of room.spectatorIds) {
+            await sharedState.deleteValue(`room_spectator:${room.roomId}:${spectatorId}`);
+            await cluster.sendToWs(spectatorId, { type: 'broadcast_stopped', roomId: room.roomId });
+        }
+        console.log(`Room closed: ${room.roomId}`);
+    }
+
+    // 切断した接続の配信を終了し、観戦中のルームから外す
+    async function leaveSpectateRooms(wsId) {
+        let listNeedsUpdate = false;
+        for (const room of await sharedState.listRooms()) {
+            if (room.broadcasterWsId === wsId) {
+                await closeSpectateRoom(room);
+                listNeedsUpdate = true;
+            } else if (room.spectatorIds.includes(wsId)) {
+                await removeSpectator(room, wsId);
+                await cluster.sendToWs(room.broadcasterWsId, { type: 'spectator_left', spectatorId: wsId });
+                listNeedsUpdate = true; // 観戦者数が変わる
+            }
+        }
+        if (listNeedsUpdate) await broadcastListUpdate();
+    }
+
+    function getClientIp(req) {
+        const forwarded = TRUST_PROXY ? req.headers['x-forwarded-for'] : null;
+        return (forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress) || 'unknown';
+    }
+
+    // 接続ごとの状態は connections に持たせ、handleMessage はソケットと生のメッセージだけで動くようにする
+    // (send / on / ping / terminate / readyState を持つオブジェクトであれば、実際のソケットでなくても接続として扱える)
+    function handleConnection(ws, req) {
+        const wsId = uuidv4();
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        connections.set(ws, {
+            wsId, userId: null, username: null, role: null, mutedUntil: null, sessionId: null, matchId: null, opponentWsId: null,
+            clientIp: getClientIp(req), rateLimiter: createTokenBucket(CONNECTION_RATE_LIMIT), lastThrottleNoticeAt: 0
+        });
+        cluster.registerSocket(wsId, ws);
+        console.log(`Client connected: ${wsId}. Total: ${connections.size}`);
+
+        getBroadcastList()
+            .then(list => ws.send(JSON.stringify({ type: 'broadcast_list_update', list })))
+            .catch(err => console.error('Error sending broadcast list:', err));
+        broadcastQueueCount(); // 新規接続時に現在のキュー人数を送信
+
+        ws.on('message', message => {
+            handleMessage(ws, message).catch(err => console.error(`Error handling message from ${connections.get(ws)?.wsId}:`, err));
+        });
+        ws.on('close', () => handleClose(ws));
+    }
+
+    async function handleMessage(ws, message) {
+        const conn = connections.get(ws);
+        if (!conn) return;
+        const { wsId, clientIp } = conn;
+        if (!conn.rateLimiter.take() || !ipRateLimiter.take(clientIp)) {
+            // 通知自体が負荷にならないよう、制限中の通知は1秒に1回まで
+            if (Date.now() - conn.lastThrottleNoticeAt > 1000) {
+                conn.lastThrottleNoticeAt = Date.now();
+                ws.send(JSON.stringify({ type: 'error', message: 'リクエストが多すぎます。しばらく待ってから再度お試しください。' }));
+            }
+            return;
+        }
+
+        let data;
+        try { data = JSON.parse(message); } catch (e) { return; }
+        const validationError = validateMessage(data);
+        if (validationError) {
+            return ws.send(JSON.stringify({ type: validationError.responseType, success: false, message: validationError.message, requestType: typeof data?.type === 'string' ? data.type.slice(0, 64) : null }));
+        }
 
         console.log(`MSG from ${conn.username || conn.wsId}: ${data.type}`);
 
@@ -189,230 +1728,954 @@ wss.on('connection', ws => {
                 const hashedPassword = await bcrypt.hash(regPassword, BCRYPT_SALT_ROUNDS);
                 const newUserId = uuidv4();
                 try {
-                    await registerNewUser(newUserId, regUsername, hashedPassword);
-                    ws.send(JSON.stringify({ type: 'register_response', success: true, message: 'アカウント登録が完了しました！ログインしてください。' }));
-                } catch (dbErr) {
-                    ws.send(JSON.stringify({ type: 'register_response', success: false, message: 'データベースエラーにより登録できませんでした。' }));
+                    await registerNewUser(newUserId, regUsername, hashedPassword);
+                    ws.send(JSON.stringify({ type: 'register_response', success: true, message: 'アカウント登録が完了しました！ログインしてください。' }));
+                } catch (dbErr) {
+                    ws.send(JSON.stringify({ type: 'register_response', success: false, message: 'データベースエラーにより登録できませんでした。' }));
+                }
+                break;
+
+            case 'login':
+            case 'auto_login': {
+                let userData;
+                if (data.type === 'login') {
+                    const { username: loginUsername, password: loginPassword } = data;
+                    const throttleKey = `${clientIp}|${loginUsername.toLowerCase()}`;
+                    const lockRemaining = Math.max(loginThrottle.getLockRemaining(throttleKey), ipLoginThrottle.getLockRemaining(clientIp));
+                    if (lockRemaining > 0) {
+                        return ws.send(JSON.stringify({ type: 'login_response', success: false, retryAfterSeconds: Math.ceil(lockRemaining / 1000), message: `ログインの失敗が続いたため、${Math.ceil(lockRemaining / 1000)}秒後に再度お試しください。` }));
+                    }
+                    const foundUserId = await getUserIdByUsername(loginUsername);
+                    if (foundUserId) userData = await getUserData(foundUserId);
+                    if (!userData || !(await bcrypt.compare(loginPassword, userData.password_hash))) {
+                        loginThrottle.recordFailure(throttleKey);
+                        ipLoginThrottle.recordFailure(clientIp);
+                        return ws.send(JSON.stringify({ type: 'login_response', success: false, message: 'ユーザー名またはパスワードが間違っています。' }));
+                    }
+                    loginThrottle.recordSuccess(throttleKey);
+                } else { // auto_login: 発行済みのセッショントークンのみ受け付ける
+                    let session = null;
+                    try {
+                        session = await sessions.verify(data.sessionToken);
+                    } catch (err) {
+                        console.error('Error verifying session:', err.message);
+                    }
+                    if (session) userData = await getUserData(session.userId);
+                    if (!userData) {
+                        return ws.send(JSON.stringify({ type: 'auto_login_response', success: false, message: '自動ログインに失敗しました。再度ログインしてください。' }));
+                    }
+                    conn.sessionId = session.sessionId;
+                }
+
+                if (isBanned(userData)) {
+                    conn.sessionId = null;
+                    return ws.send(JSON.stringify({ type: `${data.type}_response`, success: false, banned: true, bannedUntil: userData.banned_until || null, message: formatBanMessage(userData) }));
+                }
+
+                let sessionToken = null;
+                let sessionExpiresAt = null;
+                if (data.type === 'login') {
+                    try {
+                        const issued = await sessions.issue(userData.user_id);
+                        conn.sessionId = issued.sessionId;
+                        sessionToken = issued.token;
+                        sessionExpiresAt = issued.expiresAt;
+                    } catch (err) {
+                        console.error('Error issuing session:', err.message);
+                        return ws.send(JSON.stringify({ type: 'login_response', success: false, message: 'セッションの発行に失敗しました。' }));
+                    }
+                }
+
+                // 旧形式 (文字列) の戦績を構造化された記録に移行する。
+                // 同時に確定した対戦の戦績を上書きしないよう、ユーザーのロックを取って読み直してから書き込む
+                if (matchHistory.hasLegacyEntries(userData.match_history)) {
+                    try {
+                        const migrated = await updateUserRating(userData.user_id, latest => (matchHistory.hasLegacyEntries(latest.match_history)
+                            ? { matchHistory: matchHistory.normalizeMatchHistory(latest.match_history) }
+                            : null));
+                        if (migrated?.update) userData = { ...migrated.userData, match_history: migrated.update.matchHistory };
+                    } catch (err) {
+                        console.error('Error migrating match history:', err.message);
+                    }
+                }
+
+                conn.userId = userData.user_id;
+                conn.username = userData.username;
+                conn.role = userData.role || 'user';
+                conn.mutedUntil = userData.muted_until ? Date.parse(userData.muted_until) : null;
+                await sharedState.setUserSocket(conn.userId, wsId, instanceId);
+                ws.send(JSON.stringify({ type: `${data.type}_response`, success: true, message: 'ログインしました！', sessionToken, sessionExpiresAt, ...formatUserDataForClient(userData) }));
+                notifyFriendsPresence(conn.userId, conn.username, true);
+                if (userData.current_match_id) {
+                    try {
+                        await resumeMatch(ws, conn, userData.current_match_id);
+                    } catch (err) {
+                        console.error('Error resuming match:', err);
+                    }
+                }
+                break;
+            }
+
+            case 'logout':
+                if (conn.userId) {
+                    if (conn.sessionId) {
+                        try {
+                            await sessions.revoke(conn.sessionId);
+                        } catch (err) {
+                            console.error('Error revoking session:', err.message);
+                        }
+                    }
+                    clearLogin(conn);
+                    ws.send(JSON.stringify({ type: 'logout_response', success: true, message: 'ログアウトしました。' }));
+                }
+                break;
+
+            case 'logout_all_devices': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const logoutUserId = conn.userId;
+                try {
+                    await sessions.revokeAll(logoutUserId);
+                } catch (err) {
+                    console.error('Error revoking sessions:', err.message);
+                    return ws.send(JSON.stringify({ type: 'logout_all_devices_response', success: false, message: 'ログアウト処理中にエラーが発生しました。' }));
+                }
+                // 同じユーザーでログイン中の他の接続も (他のインスタンスを含め) 強制的にログアウトさせる
+                clearLogin(conn);
+                cluster.publishEvent('force_logout', { userId: logoutUserId, exceptWsId: wsId }).catch(err => console.error('Error publishing logout:', err));
+                ws.send(JSON.stringify({ type: 'logout_all_devices_response', success: true, message: 'すべての端末からログアウトしました。' }));
+                break;
+            }
+
+            case 'update_user_data':
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    // クライアントから更新できるのはメモ・戦績・デッキのみ (レートや対戦状態はサーバーが管理する)
+                    await updateUserData(conn.userId, { memos: data.memos, battleRecords: data.battleRecords, registeredDecks: data.registeredDecks });
+                    const updatedUserData = await getUserData(conn.userId);
+                    ws.send(JSON.stringify({ type: 'update_user_data_response', success: true, message: 'ユーザーデータを更新しました。', userData: formatUserDataForClient(updatedUserData) }));
+                } catch (dbErr) {
+                    ws.send(JSON.stringify({ type: 'update_user_data_response', success: false, message: 'データベース更新エラー。' }));
+                }
+                break;
+
+            case 'change_username':
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const { newUsername } = data;
+                if (!newUsername || newUsername.length < 3 || newUsername.length > 15) {
+                    return ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'ユーザー名は3文字以上15文字以下にしてください。' }));
+                }
+                try {
+                    const existingUser = await storage.users.findByUsername(newUsername);
+                    if (existingUser && existingUser.user_id !== conn.userId) {
+                        return ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'そのユーザー名は既に使用されています。' }));
+                    }
+                    await storage.users.update(conn.userId, { username: newUsername });
+                    conn.username = newUsername;
+                    ws.send(JSON.stringify({ type: 'change_username_response', success: true, newUsername: newUsername, message: 'ユーザー名を変更しました！' }));
+                } catch (err) {
+                    ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'ユーザー名の変更中にエラーが発生しました。' }));
+                }
+                break;
+
+            case 'join_queue': {
+                if (!conn.userId) break;
+                const queueUserId = conn.userId;
+                const queueUserData = await getUserData(queueUserId);
+                // 取得中にログアウトしていないか再確認する (二重参加は addQueueEntry が弾く)
+                if (!queueUserData || conn.userId !== queueUserId) break;
+                if (conn.matchId || (await hasOpenMatch(queueUserData))) {
+                    return ws.send(JSON.stringify({ type: 'error', message: '対戦中はマッチングに参加できません。' }));
+                }
+                const queueEntry = { userId: conn.userId, rate: queueUserData.rate, deck: normalizeDeckName(data.deck), seriesFormat: data.seriesFormat || series.DEFAULT_SERIES_FORMAT, joinedAt: Date.now() };
+                if (!(await sharedState.addQueueEntry(queueEntry))) break;
+                sendQueueStatus(ws, queueEntry, '対戦相手を検索中です...');
+                broadcastQueueCount(); // キュー参加時に更新
+                tryMatchPlayers().catch(err => console.error('Error matching players:', err));
+                break;
+            }
+
+            case 'leave_queue':
+                if (conn.userId) {
+                    await sharedState.removeQueueEntries([conn.userId]);
+                    notifiedSearchRanges.delete(conn.userId);
+                }
+                ws.send(JSON.stringify({ type: 'queue_status', message: 'マッチングをキャンセルしました。' }));
+                broadcastQueueCount(); // キュー離脱時に更新
+                break;
+
+            case 'send_friend_request': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const targetId = await getUserIdByUsername(data.username);
+                if (!targetId || targetId === conn.userId) {
+                    return ws.send(JSON.stringify({ type: 'send_friend_request_response', success: false, message: 'ユーザーが見つかりません。' }));
+                }
+                try {
+                    const existing = await findFriendship(conn.userId, targetId);
+                    if (existing?.status === 'accepted') {
+                        return ws.send(JSON.stringify({ type: 'send_friend_request_response', success: false, message: '既にフレンドです。' }));
+                    }
+                    if (existing && existing.requester_id === conn.userId) {
+                        return ws.send(JSON.stringify({ type: 'send_friend_request_response', success: false, message: '既にフレンド申請を送っています。' }));
+                    }
+                    if (existing) {
+                        // 相手からの申請が届いていれば承認として扱う
+                        await storage.friendships.accept(targetId, conn.userId, new Date().toISOString());
+                        sendToUser(targetId, { type: 'friend_request_accepted', userId: conn.userId, username: conn.username, online: true });
+                        return ws.send(JSON.stringify({ type: 'send_friend_request_response', success: true, accepted: true, message: 'フレンドになりました！' }));
+                    }
+                    await storage.friendships.create({ requester_id: conn.userId, addressee_id: targetId, status: 'pending', created_at: new Date().toISOString() });
+                    sendToUser(targetId, { type: 'friend_request_received', userId: conn.userId, username: conn.username });
+                    ws.send(JSON.stringify({ type: 'send_friend_request_response', success: true, accepted: false, message: 'フレンド申請を送りました。' }));
+                } catch (err) {
+                    console.error('Error sending friend request:', err);
+                    ws.send(JSON.stringify({ type: 'send_friend_request_response', success: false, message: 'フレンド申請中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'accept_friend_request': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    const accepted = await storage.friendships.accept(data.userId, conn.userId, new Date().toISOString());
+                    if (!accepted) {
+                        return ws.send(JSON.stringify({ type: 'accept_friend_request_response', success: false, message: 'フレンド申請が見つかりません。' }));
+                    }
+                    sendToUser(data.userId, { type: 'friend_request_accepted', userId: conn.userId, username: conn.username, online: true });
+                    ws.send(JSON.stringify({ type: 'accept_friend_request_response', success: true, userId: data.userId, online: await isUserOnline(data.userId), message: 'フレンド申請を承認しました。' }));
+                } catch (err) {
+                    console.error('Error accepting friend request:', err);
+                    ws.send(JSON.stringify({ type: 'accept_friend_request_response', success: false, message: 'フレンド申請の承認中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'decline_friend_request': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    await storage.friendships.remove(data.userId, conn.userId, { pendingOnly: true });
+                    ws.send(JSON.stringify({ type: 'decline_friend_request_response', success: true, userId: data.userId, message: 'フレンド申請を拒否しました。' }));
+                } catch (err) {
+                    console.error('Error declining friend request:', err);
+                    ws.send(JSON.stringify({ type: 'decline_friend_request_response', success: false, message: 'フレンド申請の拒否中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'remove_friend': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    const friendship = await findFriendship(conn.userId, data.userId);
+                    if (!friendship) {
+                        return ws.send(JSON.stringify({ type: 'remove_friend_response', success: false, message: 'フレンドが見つかりません。' }));
+                    }
+                    await storage.friendships.remove(friendship.requester_id, friendship.addressee_id);
+                    sendToUser(data.userId, { type: 'friend_removed', userId: conn.userId });
+                    ws.send(JSON.stringify({ type: 'remove_friend_response', success: true, userId: data.userId, message: 'フレンドを解除しました。' }));
+                } catch (err) {
+                    console.error('Error removing friend:', err);
+                    ws.send(JSON.stringify({ type: 'remove_friend_response', success: false, message: 'フレンド解除中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'get_friend_list':
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    ws.send(JSON.stringify({ type: 'friend_list', success: true, ...(await buildFriendList(conn.userId)) }));
+                } catch (err) {
+                    console.error('Error fetching friend list:', err);
+                    ws.send(JSON.stringify({ type: 'friend_list', success: false, message: 'フレンドリストの取得に失敗しました。' }));
                 }
                 break;
 
-            case 'login':
-            case 'auto_login':
-                const { userId: loginUserId, username: loginUsername, password: loginPassword } = data;
-                let userData;
-                if (data.type === 'login') {
-                    const foundUserId = await getUserIdByUsername(loginUsername);
-                    if (!foundUserId) return ws.send(JSON.stringify({ type: 'login_response', success: false, message: 'ユーザー名またはパスワードが間違っています。' }));
-                    userData = await getUserData(foundUserId);
-                    if (!userData || !(await bcrypt.compare(loginPassword, userData.password_hash))) {
-                        return ws.send(JSON.stringify({ type: 'login_response', success: false, message: 'ユーザー名またはパスワードが間違っています。' }));
-                    }
-                } else { // auto_login
-                    userData = await getUserData(loginUserId);
-                    if (!userData || userData.username !== loginUsername) {
-                        return ws.send(JSON.stringify({ type: 'auto_login_response', success: false, message: '自動ログインに失敗しました。' }));
+            case 'challenge_player': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const { targetUserId } = data;
+                if (conn.matchId) return ws.send(JSON.stringify({ type: 'challenge_player_response', success: false, message: '対戦中は申し込みできません。' }));
+                if (!targetUserId || targetUserId === conn.userId || !(await isUserOnline(targetUserId))) {
+                    return ws.send(JSON.stringify({ type: 'challenge_player_response', success: false, message: '相手がオンラインではありません。' }));
+                }
+                try {
+                    if (!(await areFriends(conn.userId, targetUserId))) {
+                        return ws.send(JSON.stringify({ type: 'challenge_player_response', success: false, message: 'フレンドにのみ対戦を申し込めます。' }));
                     }
+                } catch (err) {
+                    console.error('Error checking friendship:', err);
+                    return ws.send(JSON.stringify({ type: 'challenge_player_response', success: false, message: '対戦の申し込み中にエラーが発生しました。' }));
                 }
-                
-                conn.userId = userData.user_id;
-                conn.username = userData.username;
-                userToWsId.set(conn.userId, wsId);
-                ws.send(JSON.stringify({ type: `${data.type}_response`, success: true, message: 'ログインしました！', ...formatUserDataForClient(userData) }));
+                const challengeId = uuidv4();
+                const challenge = {
+                    challengeId, challengerId: conn.userId, challengerUsername: conn.username, targetId: targetUserId,
+                    rated: data.rated === true, challengerDeck: normalizeDeckName(data.deck), seriesFormat: data.seriesFormat || series.DEFAULT_SERIES_FORMAT,
+                    expiresAt: Date.now() + CHALLENGE_TIMEOUT_MS
+                };
+                try {
+                    await saveChallenge(challenge);
+                } catch (err) {
+                    console.error('Error saving challenge:', err);
+                    return ws.send(JSON.stringify({ type: 'challenge_player_response', success: false, message: '対戦の申し込み中にエラーが発生しました。' }));
+                }
+                sendToUser(targetUserId, { type: 'challenge_received', challengeId, challengerUserId: conn.userId, challengerUsername: conn.username, rated: challenge.rated, seriesFormat: challenge.seriesFormat, expiresAt: challenge.expiresAt });
+                ws.send(JSON.stringify({ type: 'challenge_player_response', success: true, challengeId, expiresAt: challenge.expiresAt, message: '対戦を申し込みました。' }));
                 break;
+            }
 
-            case 'logout':
-                if (conn.userId) {
-                    userToWsId.delete(conn.userId);
-                    conn.userId = null;
-                    conn.username = null;
-                    ws.send(JSON.stringify({ type: 'logout_response', success: true, message: 'ログアウトしました。' }));
+            case 'accept_challenge': {
+                const challenge = conn.userId ? await getChallenge(data.challengeId) : null;
+                if (!challenge || challenge.targetId !== conn.userId) {
+                    return ws.send(JSON.stringify({ type: 'accept_challenge_response', success: false, message: '対戦の申し込みが見つかりません。' }));
+                }
+                try {
+                    // 申し込んだ側は別のインスタンスに接続していることがあるため、対戦中かどうかは DB で確認する
+                    const challengerData = await getUserData(challenge.challengerId);
+                    const available = (await isUserOnline(challenge.challengerId)) && challengerData && !challengerData.current_match_id && !conn.matchId;
+                    // 取り出せなかった場合は、取り消し・期限切れと同時に処理された
+                    if (!(await removeChallenge(challenge.challengeId))) {
+                        return ws.send(JSON.stringify({ type: 'accept_challenge_response', success: false, message: '対戦の申し込みが見つかりません。' }));
+                    }
+                    if (!available) {
+                        return ws.send(JSON.stringify({ type: 'accept_challenge_response', success: false, message: '現在この対戦は開始できません。' }));
+                    }
+                    // ランダムマッチの待機中であればキューから外す
+                    if ((await sharedState.removeQueueEntries([challenge.challengerId, challenge.targetId])).length > 0) broadcastQueueCount();
+                    await createMatch(challenge.challengerId, challenge.targetId, { rated: challenge.rated, matchType: 'private', decks: [challenge.challengerDeck, normalizeDeckName(data.deck)], seriesFormat: challenge.seriesFormat });
+                } catch (err) {
+                    console.error('Error creating private match:', err);
+                    ws.send(JSON.stringify({ type: 'accept_challenge_response', success: false, message: '対戦の作成中にエラーが発生しました。' }));
                 }
                 break;
+            }
+
+            case 'decline_challenge': {
+                const challenge = conn.userId ? await getChallenge(data.challengeId) : null;
+                // 申し込んだ側からの取り消しも受け付ける
+                if (!challenge || (challenge.targetId !== conn.userId && challenge.challengerId !== conn.userId)) break;
+                if (!(await removeChallenge(challenge.challengeId))) break;
+                const otherId = challenge.targetId === conn.userId ? challenge.challengerId : challenge.targetId;
+                sendToUser(otherId, { type: 'challenge_declined', challengeId: challenge.challengeId, message: '対戦の申し込みは取り消されました。' });
+                ws.send(JSON.stringify({ type: 'decline_challenge_response', success: true, challengeId: challenge.challengeId }));
+                break;
+            }
 
-            case 'update_user_data':
+            case 'create_tournament': {
                 if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const { name: tournamentName, format: tournamentFormat, totalRounds } = data;
+                if (!tournamentName || !TOURNAMENT_FORMATS.includes(tournamentFormat)) {
+                    return ws.send(JSON.stringify({ type: 'create_tournament_response', success: false, message: '大会名と形式 (swiss / single_elimination) を指定してください。' }));
+                }
+                const tournament = {
+                    tournamentId: uuidv4(),
+                    name: tournamentName,
+                    format: tournamentFormat,
+                    status: 'registration',
+                    organizerId: conn.userId,
+                    totalRounds: tournamentFormat === 'swiss' && Number.isInteger(totalRounds) && totalRounds > 0 ? totalRounds : null,
+                    rated: data.rated !== false,
+                    players: [],
+                    rounds: [],
+                    createdAt: new Date().toISOString()
+                };
                 try {
-                    await updateUserData(conn.userId, data);
-                    const updatedUserData = await getUserData(conn.userId);
-                    ws.send(JSON.stringify({ type: 'update_user_data_response', success: true, message: 'ユーザーデータを更新しました。', userData: formatUserDataForClient(updatedUserData) }));
-                } catch (dbErr) {
-                    ws.send(JSON.stringify({ type: 'update_user_data_response', success: false, message: 'データベース更新エラー。' }));
+                    await saveTournament(tournament);
+                    ws.send(JSON.stringify({ type: 'create_tournament_response', success: true, tournament: formatTournamentForClient(tournament), message: '大会を作成しました。' }));
+                } catch (err) {
+                    console.error('Error creating tournament:', err);
+                    ws.send(JSON.stringify({ type: 'create_tournament_response', success: false, message: '大会の作成中にエラーが発生しました。' }));
                 }
                 break;
+            }
 
-            case 'change_username':
+            case 'join_tournament': {
                 if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
-                const { newUsername } = data;
-                if (!newUsername || newUsername.length < 3 || newUsername.length > 15) {
-                    return ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'ユーザー名は3文字以上15文字以下にしてください。' }));
-                }
                 try {
-                    const { data: existingUser } = await supabase.from('users').select('user_id').eq('username', newUsername).single();
-                    if (existingUser && existingUser.user_id !== conn.userId) {
-                        return ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'そのユーザー名は既に使用されています。' }));
-                    }
-                    await supabase.from('users').update({ username: newUsername }).eq('user_id', conn.userId);
-                    conn.username = newUsername;
-                    ws.send(JSON.stringify({ type: 'change_username_response', success: true, newUsername: newUsername, message: 'ユーザー名を変更しました！' }));
+                    const joined = await withTournament(data.tournamentId, async tournament => {
+                        if (!tournament || tournament.status !== 'registration') return { error: '参加受付中の大会が見つかりません。' };
+                        if (tournament.players.some(player => player.userId === conn.userId)) return { error: '既に参加登録しています。' };
+                        tournament.players.push({ userId: conn.userId, username: conn.username, deck: normalizeDeckName(data.deck), seed: null, dropped: false });
+                        await saveTournament(tournament);
+                        return { tournament };
+                    });
+                    if (joined.error) return ws.send(JSON.stringify({ type: 'join_tournament_response', success: false, message: joined.error }));
+                    ws.send(JSON.stringify({ type: 'join_tournament_response', success: true, tournamentId: joined.tournament.tournamentId, message: '大会に参加登録しました。' }));
+                    broadcastTournamentUpdate(joined.tournament, 'player_joined');
                 } catch (err) {
-                    ws.send(JSON.stringify({ type: 'change_username_response', success: false, message: 'ユーザー名の変更中にエラーが発生しました。' }));
+                    console.error('Error joining tournament:', err);
+                    ws.send(JSON.stringify({ type: 'join_tournament_response', success: false, message: '参加登録中にエラーが発生しました。' }));
                 }
                 break;
+            }
 
-            case 'join_queue':
-                if (conn.userId && !waitingPlayers.includes(conn.userId)) {
-                    waitingPlayers.push(conn.userId);
-                    ws.send(JSON.stringify({ type: 'queue_status', message: '対戦相手を検索中です...' }));
-                    broadcastQueueCount(); // キュー参加時に更新
-                    tryMatchPlayers();
+            case 'leave_tournament': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    const left = await withTournament(data.tournamentId, async tournament => {
+                        const player = tournament?.players.find(p => p.userId === conn.userId);
+                        if (!player || tournament.status === 'finished') return { error: '参加中の大会が見つかりません。' };
+                        if (tournament.status === 'registration') {
+                            tournament.players = tournament.players.filter(p => p.userId !== conn.userId);
+                        } else if (tournament.format === 'swiss') {
+                            player.dropped = true; // 進行中のスイスドローは次のラウンドから組み合わせに入れない
+                        } else {
+                            return { error: 'トーナメント進行中は棄権できません。対戦で敗退してください。' };
+                        }
+                        await saveTournament(tournament);
+                        return { tournament };
+                    });
+                    if (left.error) return ws.send(JSON.stringify({ type: 'leave_tournament_response', success: false, message: left.error }));
+                    ws.send(JSON.stringify({ type: 'leave_tournament_response', success: true, tournamentId: left.tournament.tournamentId, message: '大会から離脱しました。' }));
+                    broadcastTournamentUpdate(left.tournament, 'player_left');
+                } catch (err) {
+                    console.error('Error leaving tournament:', err);
+                    ws.send(JSON.stringify({ type: 'leave_tournament_response', success: false, message: '離脱処理中にエラーが発生しました。' }));
                 }
                 break;
+            }
 
-            case 'leave_queue':
-                waitingPlayers = waitingPlayers.filter(id => id !== conn.userId);
-                ws.send(JSON.stringify({ type: 'queue_status', message: 'マッチングをキャンセルしました。' }));
-                broadcastQueueCount(); // キュー離脱時に更新
+            case 'get_tournament_list': {
+                const tournamentRows = await storage.tournaments.listActive().catch(err => console.error('Error fetching tournaments:', err.message));
+                ws.send(JSON.stringify({ type: 'tournament_list', list: (tournamentRows || []).map(row => formatTournamentSummary(tournamentFromRow(row))) }));
                 break;
+            }
 
-            case 'webrtc_signal':
-                if (conn.opponentWsId) {
-                    const opponentWs = wsIdToWs.get(conn.opponentWsId);
-                    if (opponentWs?.readyState === WebSocket.OPEN) {
-                        opponentWs.send(JSON.stringify({ type: 'webrtc_signal', signal: data.signal }));
-                    }
+            case 'get_tournament': {
+                const tournament = await fetchTournament(data.tournamentId).catch(err => console.error('Error fetching tournament:', err.message));
+                if (!tournament) return ws.send(JSON.stringify({ type: 'tournament_data', success: false, message: '大会が見つかりません。' }));
+                ws.send(JSON.stringify({ type: 'tournament_data', success: true, tournament: formatTournamentForClient(tournament) }));
+                break;
+            }
+
+            case 'start_tournament_round':
+                try {
+                    const started = await withTournament(data.tournamentId, async tournament => {
+                        if (!tournament) return { error: '大会が見つかりません。' };
+                        if (!canManageTournament(conn, tournament)) return { forbidden: true };
+                        await startTournamentRound(tournament);
+                        return { tournament };
+                    });
+                    if (started.forbidden) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                    if (started.error) return ws.send(JSON.stringify({ type: 'start_tournament_round_response', success: false, message: started.error }));
+                    ws.send(JSON.stringify({ type: 'start_tournament_round_response', success: true, tournamentId: started.tournament.tournamentId, round: started.tournament.rounds.length }));
+                } catch (err) {
+                    console.error('Error starting tournament round:', err.message);
+                    ws.send(JSON.stringify({ type: 'start_tournament_round_response', success: false, message: err.message }));
                 }
                 break;
 
-            case 'report_result':
+            case 'webrtc_signal':
+                // 相手が別のインスタンスに接続していてもバス経由で届く
+                if (conn.opponentWsId) await cluster.sendToWs(conn.opponentWsId, { type: 'webrtc_signal', signal: data.signal });
+                break;
+
+            case 'report_result': {
                 const { matchId: reportedMatchId, result: reportedResult } = data;
-                if (!conn.userId || !reportedMatchId || !reportedResult) return;
+                if (!conn.userId || !reportedMatchId) return;
+                if (!MATCH_REPORT_RESULTS.includes(reportedResult)) {
+                    return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '不正な結果が報告されました。' }));
+                }
                 try {
-                    const { data: match, error: matchError } = await supabase.from('matches').select('*').eq('match_id', reportedMatchId).single();
-                    if (matchError || !match) return;
+                    const match = await storage.matches.findById(reportedMatchId);
+                    if (!match) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '対戦が見つかりません。' }));
+                    }
+                    if (match.player1_id !== conn.userId && match.player2_id !== conn.userId) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: 'この対戦の参加者ではありません。' }));
+                    }
+                    if (match.resolved_at || match.status === 'disputed') {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: 'この対戦の結果は既に処理されています。' }));
+                    }
+                    if (match.report_deadline && Date.parse(match.report_deadline) <= Date.now()) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '結果報告の期限を過ぎています。' }));
+                    }
+                    if (match.series_phase === 'sideboarding') {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '次のゲームの準備中です。デッキを選んでからゲームを始めてください。' }));
+                    }
+                    // Bo3 / Bo5 では報告するゲームの番号を指定できる (前のゲームの報告が遅れて届いた場合に備える)
+                    if (data.gameNumber !== undefined && data.gameNumber !== (match.current_game || 1)) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: `現在は第${match.current_game || 1}ゲームです。` }));
+                    }
 
                     const isPlayer1 = match.player1_id === conn.userId;
                     const updateField = isPlayer1 ? 'player1_report' : 'player2_report';
                     const opponentReportField = isPlayer1 ? 'player2_report' : 'player1_report';
-                    const opponentId = isPlayer1 ? match.player2_id : match.player1_id;
+                    if (match[updateField]) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '既に結果を報告済みです。' }));
+                    }
 
-                    await supabase.from('matches').update({ [updateField]: reportedResult }).eq('match_id', reportedMatchId);
-                    
-                    const { data: updatedMatch } = await supabase.from('matches').select('*').eq('match_id', reportedMatchId).single();
-                    const opponentReport = updatedMatch[opponentReportField];
+                    // 相手の報告期限を短縮し、報告しない場合は不戦敗として扱う
+                    const opponentDeadline = Math.min(Date.now() + OPPONENT_REPORT_WINDOW_MS, match.report_deadline ? Date.parse(match.report_deadline) : Infinity);
+                    // 読み込んだ後に確定・係争になったり、同じプレイヤーの報告が先に書き込まれたりしていれば書き込まない
+                    const recorded = await storage.matches.compareAndUpdate(reportedMatchId,
+                        { [updateField]: null, status: match.status ?? null, resolved_at: null, current_game: match.current_game ?? null },
+                        { [updateField]: reportedResult, report_deadline: new Date(opponentDeadline).toISOString() });
+                    if (!recorded) {
+                        return ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: 'この対戦の結果は既に処理されています。' }));
+                    }
 
-                    if (opponentReport) {
+                    // 双方が同時に報告した場合はどちらも相手の報告を読むが、確定は resolveMatch の条件付き更新で1回だけになる
+                    const updatedMatch = await storage.matches.findById(reportedMatchId);
+                    // 相手の報告で既に確定・係争になっていれば (Bo3 / Bo5 ではゲームを記録済みなら)、結果は相手側の処理から双方に通知済み
+                    if (!updatedMatch || updatedMatch.resolved_at || updatedMatch.status === 'disputed' || updatedMatch.current_game !== match.current_game) break;
+                    if (updatedMatch[opponentReportField]) {
                         // Both players have reported, resolve the match
-                        const player1Data = await getUserData(match.player1_id);
-                        const player2Data = await getUserData(match.player2_id);
-
-                        let p1_result = updatedMatch.player1_report;
-                        let p2_result = updatedMatch.player2_report;
-                        let p1_newRate = player1Data.rate;
-                        let p2_newRate = player2Data.rate;
-                        let resolutionMessage = "対戦結果が確定しました！";
-
-                        // Calculate new rates only if reports are consistent (win/loss)
-                        if ((p1_result === 'win' && p2_result === 'lose') || (p1_result === 'lose' && p2_result === 'win')) {
-                            const K = 32; // Elo K-factor
-                            const p1_expected = 1 / (1 + Math.pow(10, (player2Data.rate - player1Data.rate) / 400));
-                            const p2_expected = 1 / (1 + Math.pow(10, (player1Data.rate - player2Data.rate) / 400));
-                            
-                            const p1_score = p1_result === 'win' ? 1 : 0;
-                            const p2_score = p2_result === 'win' ? 1 : 0;
-                            
-                            p1_newRate = Math.round(player1Data.rate + K * (p1_score - p1_expected));
-                            p2_newRate = Math.round(player2Data.rate + K * (p2_score - p2_expected));
-                        } else {
-                            resolutionMessage = "対戦結果の報告が一致しなかったため、レートは変動しません。";
-                        }
-                        
-                        const p1History = [...player1Data.match_history, `${new Date().toLocaleString()} vs ${player2Data.username}: ${p1_result} (${p1_newRate})`];
-                        const p2History = [...player2Data.match_history, `${new Date().toLocaleString()} vs ${player1Data.username}: ${p2_result} (${p2_newRate})`];
-
-                        // Update user data in Supabase
-                        await updateUserData(match.player1_id, { rate: p1_newRate, currentMatchId: null, matchHistory: p1History });
-                        await updateUserData(match.player2_id, { rate: p2_newRate, currentMatchId: null, matchHistory: p2History });
-                        
-                        // Mark match as resolved
-                        await supabase.from('matches').update({ resolved_at: new Date().toISOString(), resolution: p1_result === p2_result ? 'draw/cancel' : 'resolved' }).eq('match_id', reportedMatchId);
-
-                        // Notify both players
-                        const ws1 = wsIdToWs.get(userToWsId.get(match.player1_id));
-                        const ws2 = wsIdToWs.get(userToWsId.get(match.player2_id));
-                        
-                        if(ws1) ws1.send(JSON.stringify({ type: 'report_result_response', success: true, message: resolutionMessage, result: 'resolved', myNewRate: p1_newRate, myMatchHistory: p1History }));
-                        if(ws2) ws2.send(JSON.stringify({ type: 'report_result_response', success: true, message: resolutionMessage, result: 'resolved', myNewRate: p2_newRate, myMatchHistory: p2History }));
-
+                        await settleReports(updatedMatch);
                     } else {
-                        ws.send(JSON.stringify({ type: 'report_result_response', success: true, message: '結果を報告しました。相手の報告を待っています。', result: 'pending' }));
+                        ws.send(JSON.stringify({ type: 'report_result_response', success: true, message: '結果を報告しました。相手の報告を待っています。', result: 'pending', reportDeadline: updatedMatch.report_deadline }));
                     }
                 } catch (reportErr) {
                     console.error("Error reporting result:", reportErr);
                     ws.send(JSON.stringify({ type: 'report_result_response', success: false, message: '結果報告中にエラーが発生しました。' }));
                 }
                 break;
+            }
+
+            case 'game_action': {
+                try {
+                    const { event, error, expectedSeq } = await recordGameAction(conn, data);
+                    if (error) {
+                        return ws.send(JSON.stringify({ type: 'game_action_response', success: false, matchId: data.matchId, seq: data.seq, expectedSeq, message: error }));
+                    }
+                    ws.send(JSON.stringify({ type: 'game_action_response', success: true, matchId: data.matchId, seq: event.seq }));
+                    await relayGameAction(conn, data.matchId, event);
+                } catch (err) {
+                    console.error('Error recording game action:', err);
+                    ws.send(JSON.stringify({ type: 'game_action_response', success: false, matchId: data.matchId, seq: data.seq, message: '操作の記録中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'select_next_deck': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                try {
+                    const { match, deck, error } = await selectNextDeck(conn, data.matchId, data.deck);
+                    if (error) return ws.send(JSON.stringify({ type: 'select_next_deck_response', success: false, matchId: data.matchId, message: error }));
+                    ws.send(JSON.stringify({ type: 'select_next_deck_response', success: true, matchId: data.matchId, deck, series: series.formatSeries(match) }));
+                    const opponentId = match.player1_id === conn.userId ? match.player2_id : match.player1_id;
+                    if (match.series_phase === 'sideboarding' && match.sideboard_ready.length < 2) sendToUser(opponentId, { type: 'opponent_deck_selected', matchId: data.matchId });
+                } catch (err) {
+                    console.error('Error selecting next deck:', err);
+                    ws.send(JSON.stringify({ type: 'select_next_deck_response', success: false, matchId: data.matchId, message: 'デッキの選択中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'get_replay': {
+                try {
+                    const match = await storage.matches.findById(data.matchId);
+                    if (!match || !(await canViewReplay(conn, match))) {
+                        return ws.send(JSON.stringify({ type: 'replay_data', success: false, matchId: data.matchId, message: '対戦が見つかりません。' }));
+                    }
+                    ws.send(JSON.stringify({ type: 'replay_data', success: true, replay: await getReplay(match) }));
+                } catch (err) {
+                    console.error('Error fetching replay:', err);
+                    ws.send(JSON.stringify({ type: 'replay_data', success: false, matchId: data.matchId, message: 'リプレイの取得に失敗しました。' }));
+                }
+                break;
+            }
+
+            case 'get_disputed_matches': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                try {
+                    const disputedMatches = await storage.matches.findDisputed();
+                    ws.send(JSON.stringify({ type: 'disputed_matches', success: true, matches: disputedMatches }));
+                } catch (err) {
+                    console.error('Error fetching disputed matches:', err.message);
+                    ws.send(JSON.stringify({ type: 'disputed_matches', success: false, message: '係争中の対戦の取得に失敗しました。' }));
+                }
+                break;
+            }
+
+            case 'resolve_dispute': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                const { matchId: disputedMatchId, winnerUserId } = data;
+                try {
+                    const match = await storage.matches.findById(disputedMatchId);
+                    if (!match || match.status !== 'disputed' || match.resolved_at) {
+                        return ws.send(JSON.stringify({ type: 'resolve_dispute_response', success: false, message: '係争中の対戦が見つかりません。' }));
+                    }
+                    // winnerUserId を省略 (null) した場合は無効試合にする
+                    if (winnerUserId && winnerUserId !== match.player1_id && winnerUserId !== match.player2_id) {
+                        return ws.send(JSON.stringify({ type: 'resolve_dispute_response', success: false, message: '勝者はこの対戦の参加者を指定してください。' }));
+                    }
+                    await resolveMatch(match, winnerUserId || null, winnerUserId ? 'admin' : 'void', '運営の判定により対戦結果が確定しました。');
+                    await writeAuditLog(conn, 'resolve_dispute', { targetMatchId: disputedMatchId, details: { winnerUserId: winnerUserId || null } });
+                    ws.send(JSON.stringify({ type: 'resolve_dispute_response', success: true, matchId: disputedMatchId, message: '係争を解決しました。' }));
+                } catch (err) {
+                    console.error('Error resolving dispute:', err);
+                    ws.send(JSON.stringify({ type: 'resolve_dispute_response', success: false, message: '係争の解決中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'get_stats': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'error', message: 'ログインしてください。' }));
+                const period = matchHistory.STATS_PERIODS.includes(data.period) ? data.period : 'month';
+                const statsUserData = await getUserData(conn.userId);
+                if (!statsUserData) return ws.send(JSON.stringify({ type: 'stats_data', success: false, message: '戦績の取得に失敗しました。' }));
+                ws.send(JSON.stringify({ type: 'stats_data', success: true, period, ...matchHistory.buildStats(statsUserData.match_history, { period }) }));
+                break;
+            }
 
             case 'get_ranking':
                 try {
-                    const { data: rankingData, error } = await supabase.from('users').select('username, rate').order('rate', { ascending: false }).limit(100);
-                    if (error) throw error;
-                    ws.send(JSON.stringify({ type: 'ranking_data', success: true, data: rankingData }));
+                    // 過去のシーズンが指定された場合は最終順位のスナップショットを返す
+                    if (data.seasonId && data.seasonId !== currentSeason?.season_id) {
+                        const season = await storage.seasons.findById(data.seasonId);
+                        if (!season) return ws.send(JSON.stringify({ type: 'ranking_data', success: false, message: 'シーズンが見つかりません。' }));
+                        const { rows: snapshot } = await storage.leaderboards.listForSeason(data.seasonId, { limit: 100 });
+                        const snapshotData = snapshot.map(row => ({ rank: row.rank, username: row.username, rate: row.rate }));
+                        return ws.send(JSON.stringify({ type: 'ranking_data', success: true, season: formatSeasonForClient(season), data: snapshotData }));
+                    }
+                    const { users: rankedUsers } = await getRankingPage({ limit: 100 });
+                    const rankingData = rankedUsers.map(user => ({ username: user.username, rate: user.rate }));
+                    ws.send(JSON.stringify({ type: 'ranking_data', success: true, season: formatSeasonForClient(currentSeason), data: rankingData }));
                 } catch (err) {
                     console.error("Error fetching ranking:", err);
                     ws.send(JSON.stringify({ type: 'ranking_data', success: false, message: 'ランキングの取得に失敗しました。' }));
                 }
                 break;
 
+            case 'get_seasons':
+                try {
+                    const seasons = await storage.seasons.list();
+                    const myPlacements = conn.userId ? await getSeasonPlacements(conn.userId) : [];
+                    ws.send(JSON.stringify({ type: 'seasons_data', success: true, currentSeason: formatSeasonForClient(currentSeason), seasons: seasons.map(formatSeasonForClient), myPlacements }));
+                } catch (err) {
+                    console.error('Error fetching seasons:', err);
+                    ws.send(JSON.stringify({ type: 'seasons_data', success: false, message: 'シーズン情報の取得に失敗しました。' }));
+                }
+                break;
+
+            case 'schedule_season': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                const startsAt = Date.parse(data.startsAt);
+                const endsAt = Date.parse(data.endsAt);
+                if (!data.name || Number.isNaN(startsAt) || Number.isNaN(endsAt) || endsAt <= startsAt) {
+                    return ws.send(JSON.stringify({ type: 'schedule_season_response', success: false, message: 'シーズン名と正しい開始・終了日時を指定してください。' }));
+                }
+                try {
+                    // シーズンの切り替えと同時に予約して期間が重ならないよう、切り替えと同じロックを取る
+                    const scheduled = await withLock('season_rollover', async () => {
+                        const seasons = await storage.seasons.list();
+                        const overlapping = seasons.find(season => Date.parse(season.starts_at) < endsAt && startsAt < Date.parse(season.ends_at));
+                        if (overlapping) return { error: `${overlapping.name} と期間が重なっています。` };
+                        const season = {
+                            season_id: uuidv4(), season_number: seasons.length + 1, name: data.name,
+                            starts_at: new Date(startsAt).toISOString(), ends_at: new Date(endsAt).toISOString(), status: 'scheduled'
+                        };
+                        await storage.seasons.create(season);
+                        return { season };
+                    });
+                    if (scheduled.error) return ws.send(JSON.stringify({ type: 'schedule_season_response', success: false, message: scheduled.error }));
+                    const { season } = scheduled;
+                    await writeAuditLog(conn, 'schedule_season', { details: { seasonId: season.season_id, name: season.name, startsAt: season.starts_at, endsAt: season.ends_at } });
+                    ws.send(JSON.stringify({ type: 'schedule_season_response', success: true, season: formatSeasonForClient(season), message: 'シーズンを予約しました。開始日時になると開始されます。' }));
+                } catch (err) {
+                    console.error('Error scheduling season:', err);
+                    ws.send(JSON.stringify({ type: 'schedule_season_response', success: false, message: 'シーズンの予約中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'ban_user':
+            case 'unban_user':
+            case 'mute_user':
+            case 'unmute_user': {
+                const responseType = `${data.type}_response`;
+                if (!hasRole(conn, 'moderator')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                try {
+                    const { target, error: targetError } = await getModerationTarget(conn, data.username);
+                    if (targetError) return ws.send(JSON.stringify({ type: responseType, success: false, message: targetError }));
+                    const until = data.durationMinutes ? new Date(Date.now() + data.durationMinutes * 60 * 1000).toISOString() : null;
+                    const reason = data.reason || null;
+                    if (data.type === 'ban_user') {
+                        await updateModerationFields(target.user_id, { is_banned: true, banned_until: until, ban_reason: reason });
+                        // 発行済みのセッションを無効にし、ログイン中の接続と配信も終了させる
+                        await sessions.revokeAll(target.user_id);
+                        const banMessage = formatBanMessage({ banned_until: until, ban_reason: reason });
+                        await cluster.publishEvent('force_logout', { userId: target.user_id, exceptWsId: null, message: banMessage });
+                        await closeRoomsOfUser(target.user_id, banMessage);
+                    } else if (data.type === 'unban_user') {
+                        await updateModerationFields(target.user_id, { is_banned: false, banned_until: null, ban_reason: null });
+                    } else {
+                        const mutedUntil = data.type === 'mute_user' ? until : null;
+                        await updateModerationFields(target.user_id, { muted_until: mutedUntil });
+                        await cluster.publishEvent('moderation_update', { userId: target.user_id, mutedUntil: mutedUntil ? Date.parse(mutedUntil) : null });
+                        if (mutedUntil) sendToUser(target.user_id, { type: 'muted', mutedUntil, reason, message: `${new Date(mutedUntil).toLocaleString('ja-JP')} まで発言が制限されました。` });
+                    }
+                    await writeAuditLog(conn, data.type, { targetUserId: target.user_id, reason, details: { username: target.username, until } });
+                    ws.send(JSON.stringify({ type: responseType, success: true, userId: target.user_id, until }));
+                } catch (err) {
+                    console.error(`Error processing ${data.type}:`, err);
+                    ws.send(JSON.stringify({ type: responseType, success: false, message: '処理中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'adjust_rate': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                try {
+                    const { target, error: targetError } = await getModerationTarget(conn, data.username);
+                    if (targetError) return ws.send(JSON.stringify({ type: 'adjust_rate_response', success: false, message: targetError }));
+                    const adjusted = await updateUserRating(target.user_id, () => ({ rate: data.rate }));
+                    const rateBefore = adjusted ? adjusted.userData.rate : target.rate;
+                    await writeAuditLog(conn, 'adjust_rate', { targetUserId: target.user_id, reason: data.reason, details: { username: target.username, rateBefore, rateAfter: data.rate } });
+                    sendToUser(target.user_id, { type: 'rate_adjusted', rate: data.rate, reason: data.reason, message: '運営によりレートが調整されました。' });
+                    ws.send(JSON.stringify({ type: 'adjust_rate_response', success: true, userId: target.user_id, rateBefore, rateAfter: data.rate }));
+                } catch (err) {
+                    console.error('Error adjusting rate:', err);
+                    ws.send(JSON.stringify({ type: 'adjust_rate_response', success: false, message: 'レートの調整中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'set_user_role': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                try {
+                    const { target, error: targetError } = await getModerationTarget(conn, data.username);
+                    if (targetError) return ws.send(JSON.stringify({ type: 'set_user_role_response', success: false, message: targetError }));
+                    await updateModerationFields(target.user_id, { role: data.role });
+                    await cluster.publishEvent('moderation_update', { userId: target.user_id, role: data.role });
+                    await writeAuditLog(conn, 'set_user_role', { targetUserId: target.user_id, reason: data.reason, details: { username: target.username, roleBefore: target.role || 'user', roleAfter: data.role } });
+                    ws.send(JSON.stringify({ type: 'set_user_role_response', success: true, userId: target.user_id, role: data.role }));
+                } catch (err) {
+                    console.error('Error setting user role:', err);
+                    ws.send(JSON.stringify({ type: 'set_user_role_response', success: false, message: '権限の変更中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'force_resolve_match':
+            case 'void_match': {
+                const responseType = `${data.type}_response`;
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                try {
+                    // 確定済みの対戦はレート変動を取り消してから確定し直す
+                    const winnerId = data.type === 'force_resolve_match' ? data.winnerUserId : null;
+                    const overridden = await overrideMatchResult(data.matchId, winnerId);
+                    if (overridden.error) return ws.send(JSON.stringify({ type: responseType, success: false, message: overridden.error }));
+                    await writeAuditLog(conn, data.type, { targetMatchId: data.matchId, reason: data.reason, details: { previous: overridden.previous, winnerUserId: winnerId } });
+                    ws.send(JSON.stringify({ type: responseType, success: true, matchId: data.matchId, winnerUserId: winnerId }));
+                } catch (err) {
+                    console.error(`Error processing ${data.type}:`, err);
+                    ws.send(JSON.stringify({ type: responseType, success: false, message: '対戦結果の変更中にエラーが発生しました。' }));
+                }
+                break;
+            }
+
+            case 'close_spectate_room': {
+                if (!hasRole(conn, 'moderator')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room) return ws.send(JSON.stringify({ type: 'close_spectate_room_response', success: false, message: '配信が見つかりません。' }));
+                await cluster.sendToWs(room.broadcasterWsId, { type: 'broadcast_closed', roomId: room.roomId, message: '運営により配信が終了されました。' });
+                await closeSpectateRoom(room);
+                broadcastListUpdate();
+                await writeAuditLog(conn, 'close_spectate_room', { targetUserId: room.broadcasterUserId, targetRoomId: room.roomId, reason: data.reason, details: { title: room.title } });
+                ws.send(JSON.stringify({ type: 'close_spectate_room_response', success: true, roomId: room.roomId }));
+                break;
+            }
+
+            case 'announce': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                await cluster.broadcast({ type: 'announcement', message: data.message, sentAt: new Date().toISOString() });
+                await writeAuditLog(conn, 'announce', { details: { message: data.message } });
+                ws.send(JSON.stringify({ type: 'announce_response', success: true }));
+                break;
+            }
+
+            case 'get_audit_log': {
+                if (!hasRole(conn, 'admin')) return ws.send(JSON.stringify({ type: 'error', message: '権限がありません。' }));
+                const limit = data.limit || AUDIT_LOG_PAGE_SIZE;
+                const offset = data.offset || 0;
+                try {
+                    const entries = await storage.auditLog.list({ offset, limit, action: data.action || null, targetUserId: data.targetUserId || null });
+                    ws.send(JSON.stringify({ type: 'audit_log', success: true, entries, limit, offset }));
+                } catch (err) {
+                    console.error('Error fetching audit log:', err.message);
+                    ws.send(JSON.stringify({ type: 'audit_log', success: false, message: '監査ログの取得に失敗しました。' }));
+                }
+                break;
+            }
+
             // Spectate cases remain unchanged
             case 'start_broadcast': {
                 if (!conn.userId) break;
-                const roomId = `room_${uuidv4().substring(0, 8)}`;
-                spectateRooms.set(roomId, { roomId, broadcasterWsId: wsId, broadcasterUsername: conn.username, spectators: new Map() });
-                console.log(`Room created: ${roomId} by ${conn.username}`);
-                ws.send(JSON.stringify({ type: 'broadcast_started', roomId }));
+                if (data.linkMatch && !conn.matchId) {
+                    return ws.send(JSON.stringify({ type: 'broadcast_started', success: false, message: '対戦中ではないため、対戦と紐付けられません。' }));
+                }
+                const room = {
+                    roomId: `room_${uuidv4().substring(0, 8)}`,
+                    broadcasterWsId: wsId,
+                    broadcasterUserId: conn.userId,
+                    broadcasterUsername: conn.username,
+                    title: `${conn.username}の配信`,
+                    matchId: data.linkMatch ? conn.matchId : null,
+                    visibility: 'public',
+                    passwordHash: null,
+                    maxSpectators: null,
+                    chatSlowModeSeconds: 0,
+                    bannedUserIds: [],
+                    bannedWsIds: [],
+                    mutedUserIds: [],
+                    createdAt: new Date().toISOString()
+                };
+                const settingsError = await applyRoomSettings(room, data);
+                if (settingsError) return ws.send(JSON.stringify({ type: 'broadcast_started', success: false, message: settingsError }));
+                await sharedState.saveRoom(room);
+                console.log(`Room created: ${room.roomId} by ${conn.username}`);
+                ws.send(JSON.stringify({ type: 'broadcast_started', success: true, roomId: room.roomId, room: formatRoomForClient({ ...room, spectatorIds: [] }) }));
+                broadcastListUpdate();
+                break;
+            }
+
+            case 'update_broadcast_settings': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room || room.broadcasterWsId !== wsId) {
+                    return ws.send(JSON.stringify({ type: 'update_broadcast_settings_response', success: false, message: '配信中のルームが見つかりません。' }));
+                }
+                const settingsError = await applyRoomSettings(room, data);
+                if (settingsError) return ws.send(JSON.stringify({ type: 'update_broadcast_settings_response', success: false, message: settingsError }));
+                await saveRoomSettings(room);
+                const roomForClient = formatRoomForClient(room);
+                ws.send(JSON.stringify({ type: 'update_broadcast_settings_response', success: true, room: roomForClient }));
+                for (const spectatorId of room.spectatorIds) {
+                    await cluster.sendToWs(spectatorId, { type: 'spectate_room_updated', room: roomForClient });
+                }
                 broadcastListUpdate();
                 break;
             }
 
             case 'stop_broadcast': {
-                const room = spectateRooms.get(data.roomId);
+                const room = await sharedState.getRoom(data.roomId);
                 if (room && room.broadcasterWsId === wsId) {
-                    room.spectators.forEach(spectatorWs => {
-                        spectatorWs.send(JSON.stringify({ type: 'broadcast_stopped', roomId: data.roomId }));
-                    });
-                    spectateRooms.delete(data.roomId);
-                    console.log(`Room closed: ${data.roomId}`);
+                    await closeSpectateRoom(room);
                     broadcastListUpdate();
                 }
                 break;
             }
 
             case 'join_spectate_room': {
-                const room = spectateRooms.get(data.roomId);
-                if (room) {
-                    room.spectators.set(wsId, ws);
-                    const broadcasterWs = wsIdToWs.get(room.broadcasterWsId);
-                    if (broadcasterWs) {
-                        broadcasterWs.send(JSON.stringify({ type: 'new_spectator', spectatorId: wsId }));
-                    }
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room) return ws.send(JSON.stringify({ type: 'join_spectate_room_response', success: false, message: '配信が見つかりません。' }));
+                const accessError = await checkSpectateAccess(room, conn, data.password);
+                if (accessError) return ws.send(JSON.stringify({ type: 'join_spectate_room_response', success: false, roomId: room.roomId, message: accessError }));
+                await sharedState.setValue(`room_spectator:${room.roomId}:${wsId}`, { userId: conn.userId, username: conn.username });
+                if (!(await sharedState.addRoomSpectator(room.roomId, wsId))) {
+                    return ws.send(JSON.stringify({ type: 'join_spectate_room_response', success: false, message: '配信が見つかりません。' }));
                 }
+                ws.send(JSON.stringify({ type: 'join_spectate_room_response', success: true, room: formatRoomForClient({ ...room, spectatorIds: [...new Set([...room.spectatorIds, wsId])] }) }));
+                await cluster.sendToWs(room.broadcasterWsId, { type: 'new_spectator', spectatorId: wsId, userId: conn.userId, username: conn.username });
+                broadcastListUpdate();
+                break;
+            }
+
+            case 'leave_spectate_room': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (room && await removeSpectator(room, wsId)) {
+                    await cluster.sendToWs(room.broadcasterWsId, { type: 'spectator_left', spectatorId: wsId });
+                    broadcastListUpdate();
+                }
+                break;
+            }
+
+            case 'kick_spectator': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room || room.broadcasterWsId !== wsId) {
+                    return ws.send(JSON.stringify({ type: 'kick_spectator_response', success: false, message: '配信中のルームが見つかりません。' }));
+                }
+                const spectator = await sharedState.getValue(`room_spectator:${room.roomId}:${data.spectatorId}`);
+                if (!(await removeSpectator(room, data.spectatorId))) {
+                    return ws.send(JSON.stringify({ type: 'kick_spectator_response', success: false, message: '観戦者が見つかりません。' }));
+                }
+                if (data.ban) {
+                    // ログイン中の観戦者はユーザー単位、未ログインの観戦者は接続単位で締め出す
+                    if (spectator?.userId) room.bannedUserIds = [...new Set([...room.bannedUserIds, spectator.userId])];
+                    else room.bannedWsIds = [...room.bannedWsIds, data.spectatorId];
+                    await saveRoomSettings(room);
+                }
+                await cluster.sendToWs(data.spectatorId, {
+                    type: 'kicked_from_room', roomId: room.roomId, banned: !!data.ban,
+                    message: data.ban ? '配信者によってこの配信の観戦を禁止されました。' : '配信者によって退出させられました。'
+                });
+                ws.send(JSON.stringify({ type: 'kick_spectator_response', success: true, spectatorId: data.spectatorId, userId: spectator?.userId || null, banned: !!data.ban }));
+                broadcastListUpdate();
+                break;
+            }
+
+            case 'unban_spectator': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room || room.broadcasterWsId !== wsId) {
+                    return ws.send(JSON.stringify({ type: 'unban_spectator_response', success: false, message: '配信中のルームが見つかりません。' }));
+                }
+                room.bannedUserIds = room.bannedUserIds.filter(userId => userId !== data.userId);
+                await saveRoomSettings(room);
+                ws.send(JSON.stringify({ type: 'unban_spectator_response', success: true, userId: data.userId }));
+                break;
+            }
+
+            case 'spectate_chat': {
+                if (!conn.userId) return ws.send(JSON.stringify({ type: 'spectate_chat_response', success: false, message: 'チャットにはログインが必要です。' }));
+                const room = await sharedState.getRoom(data.roomId);
+                const isBroadcaster = room?.broadcasterWsId === wsId;
+                if (!room || (!isBroadcaster && !room.spectatorIds.includes(wsId))) {
+                    return ws.send(JSON.stringify({ type: 'spectate_chat_response', success: false, message: '観戦中のルームが見つかりません。' }));
+                }
+                if (conn.mutedUntil && conn.mutedUntil > Date.now()) {
+                    return ws.send(JSON.stringify({ type: 'spectate_chat_response', success: false, message: `発言が制限されています (${new Date(conn.mutedUntil).toLocaleString('ja-JP')} まで)。` }));
+                }
+                if (!isBroadcaster && room.mutedUserIds.includes(conn.userId)) {
+                    return ws.send(JSON.stringify({ type: 'spectate_chat_response', success: false, message: 'このルームでは発言が制限されています。' }));
+                }
+                // スローモード中は観戦者ごとに一定間隔でしか発言できない (配信者は対象外)
+                if (!isBroadcaster && room.chatSlowModeSeconds > 0 &&
+                    !(await sharedState.acquireLock(`chat_slow_mode:${room.roomId}:${conn.userId}`, room.chatSlowModeSeconds * 1000))) {
+                    return ws.send(JSON.stringify({ type: 'spectate_chat_response', success: false, message: `スローモード中です。${room.chatSlowModeSeconds}秒に1回まで発言できます。` }));
+                }
+                const text = data.text.trim();
+                if (!text) break;
+                const chatMessage = {
+                    type: 'spectate_chat_message', roomId: room.roomId, messageId: uuidv4(),
+                    userId: conn.userId, username: conn.username, isBroadcaster, text, sentAt: new Date().toISOString()
+                };
+                await sendToRoom(room, chatMessage);
+                ws.send(JSON.stringify({ type: 'spectate_chat_response', success: true, messageId: chatMessage.messageId }));
+                break;
+            }
+
+            case 'delete_chat_message': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room || room.broadcasterWsId !== wsId) {
+                    return ws.send(JSON.stringify({ type: 'delete_chat_message_response', success: false, message: '配信中のルームが見つかりません。' }));
+                }
+                await sendToRoom(room, { type: 'spectate_chat_deleted', roomId: room.roomId, messageId: data.messageId });
+                ws.send(JSON.stringify({ type: 'delete_chat_message_response', success: true, messageId: data.messageId }));
+                break;
+            }
+
+            case 'mute_chat_user': {
+                const room = await sharedState.getRoom(data.roomId);
+                if (!room || room.broadcasterWsId !== wsId) {
+                    return ws.send(JSON.stringify({ type: 'mute_chat_user_response', success: false, message: '配信中のルームが見つかりません。' }));
+                }
+                room.mutedUserIds = room.mutedUserIds.filter(userId => userId !== data.userId);
+                if (data.muted) room.mutedUserIds.push(data.userId);
+                await saveRoomSettings(room);
+                ws.send(JSON.stringify({ type: 'mute_chat_user_response', success: true, userId: data.userId, muted: data.muted }));
                 break;
             }
-            
+
             case 'webrtc_signal_to_spectator': {
-                const room = spectateRooms.get(data.roomId);
-                const spectatorWs = room?.spectators.get(data.spectatorId);
-                if (spectatorWs) {
-                    spectatorWs.send(JSON.stringify({ type: 'broadcast_signal', from: 'broadcaster', signal: data.signal }));
+                const room = await sharedState.getRoom(data.roomId);
+                if (room && room.broadcasterWsId === wsId && room.spectatorIds.includes(data.spectatorId)) {
+                    await cluster.sendToWs(data.spectatorId, { type: 'broadcast_signal', from: 'broadcaster', signal: data.signal });
                 }
                 break;
             }
 
             case 'webrtc_signal_to_broadcaster': {
-                const room = spectateRooms.get(data.roomId);
-                const broadcasterWs = wsIdToWs.get(room?.broadcasterWsId);
-                if (broadcasterWs) {
-                    broadcasterWs.send(JSON.stringify({ type: 'broadcast_signal', from: wsId, signal: data.signal }));
+                const room = await sharedState.getRoom(data.roomId);
+                // 入室を許可された観戦者からのシグナルのみ中継する
+                if (room && room.spectatorIds.includes(wsId)) {
+                    await cluster.sendToWs(room.broadcasterWsId, { type: 'broadcast_signal', from: wsId, signal: data.signal });
                 }
                 break;
             }
@@ -421,45 +2684,90 @@ wss.on('connection', ws => {
                 broadcastListUpdate();
                 break;
         }
-    });
+    }
 
-    ws.on('close', () => {
+    function handleClose(ws) {
         const conn = connections.get(ws);
         if (!conn) return;
+        const { wsId, userId, username, matchId } = conn;
 
-        let roomToDelete = null;
-        let listNeedsUpdate = false;
-        spectateRooms.forEach((room, roomId) => {
-            if (room.broadcasterWsId === conn.wsId) {
-                roomToDelete = roomId;
-                listNeedsUpdate = true;
-            } else if (room.spectators.has(wsId)) {
-                room.spectators.delete(wsId);
-                const broadcasterWs = wsIdToWs.get(room.broadcasterWsId);
-                if (broadcasterWs) {
-                    broadcasterWs.send(JSON.stringify({ type: 'spectator_left', spectatorId: conn.wsId }));
-                }
-            }
-        });
-        if (roomToDelete) {
-            const room = spectateRooms.get(roomToDelete);
-            room.spectators.forEach(spectatorWs => {
-                spectatorWs.send(JSON.stringify({ type: 'broadcast_stopped', roomId: roomToDelete }));
-            });
-            spectateRooms.delete(roomToDelete);
-        }
-        if (listNeedsUpdate) broadcastListUpdate();
-
-        if (conn.userId) {
-            if (userToWsId.get(conn.userId) === conn.wsId) userToWsId.delete(conn.userId);
-            waitingPlayers = waitingPlayers.filter(id => id !== conn.userId);
-            broadcastQueueCount(); // クライアント切断時に更新
+        leaveSpectateRooms(wsId).catch(err => console.error('Error cleaning up spectate rooms:', err));
+        if (userId) {
+            releaseUser(userId, username, wsId)
+                .then(wasActive => {
+                    if (wasActive && matchId) handleMatchDisconnect(userId, matchId);
+                })
+                .catch(err => console.error('Error releasing user:', err));
         }
         connections.delete(ws);
-        wsIdToWs.delete(wsId);
+        cluster.unregisterSocket(wsId);
         console.log(`Client disconnected: ${wsId}. Total: ${connections.size}`);
-    });
-});
+    }
+
+    wss.on('connection', handleConnection);
+
+    // このインスタンスの生存を知らせる。heartbeatTtlMs の間更新がなければ、他のインスタンスが接続を片付ける
+    function heartbeat() {
+        return sharedState.heartbeatInstance(instanceId, heartbeatTtlMs).catch(err => console.error('Error updating instance heartbeat:', err.message));
+    }
+
+    // 定期処理を開始してポートで待ち受ける。テストでは呼ばずに、必要な処理を直接実行する
+    function start(port = process.env.PORT || 3000) {
+        // 停止したインスタンスの接続を片付けるのは1インスタンスのみ
+        heartbeat();
+        setInterval(() => {
+            heartbeat();
+            runExclusive('instance_sweep', sweepDeadInstances).catch(err => console.error('Error sweeping stopped instances:', err));
+        }, INSTANCE_HEARTBEAT_INTERVAL_MS);
+
+        // 定期的にマッチングを試み、探索幅の変化を通知する
+        setInterval(() => {
+            tryMatchPlayers().catch(err => console.error('Error matching players:', err));
+            notifyQueueStatusChanges().catch(err => console.error('Error notifying queue status:', err));
+        }, MATCHMAKING_INTERVAL_MS);
+
+        // 報告期限を過ぎた対戦を定期的に処理する (同時に処理するのは1インスタンスのみ)
+        setInterval(() => {
+            runExclusive('overdue_matches', processOverdueMatches).catch(err => console.error('Error processing overdue matches:', err));
+        }, MATCH_DEADLINE_SWEEP_INTERVAL_MS);
+
+        // 応答のない接続を切断する
+        setInterval(() => {
+            wss.clients.forEach(client => {
+                if (!client.isAlive) return client.terminate();
+                client.isAlive = false;
+                client.ping();
+            });
+        }, HEARTBEAT_INTERVAL_MS);
+
+        setInterval(() => {
+            ipRateLimiter.prune();
+            loginThrottle.prune();
+            ipLoginThrottle.prune();
+        }, RATE_LIMIT_PRUNE_INTERVAL_MS);
+
+        // 現在のシーズンを読み込み、終了していればロールオーバーする
+        processSeasonRollover();
+        setInterval(processSeasonRollover, SEASON_CHECK_INTERVAL_MS);
+        setInterval(() => {
+            runExclusive('rating_decay', applyRatingDecay, RATING_DECAY_INTERVAL_MS / 2).catch(err => console.error('Error applying rating decay:', err));
+        }, RATING_DECAY_INTERVAL_MS);
+
+        server.listen(port, () => console.log(`Server listening on port ${port}`));
+    }
+
+    return {
+        instanceId, server, storage, sharedState, cluster, connections,
+        handleConnection, handleMessage, handleClose, start, heartbeat,
+        tryMatchPlayers, processOverdueMatches, processSeasonRollover, sweepDeadInstances
+    };
+}
+
+if (require.main === module) {
+    const instanceId = process.env.INSTANCE_ID || uuidv4();
+    const gameServer = createGameServer({ storage: createStorage(), ...createSharedState(), instanceId });
+    console.log(`Shared state: ${process.env.REDIS_URL ? 'redis' : 'memory'} (instance ${instanceId})`);
+    gameServer.start();
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
+module.exports = { createGameServer, createStorage, createSharedState };
@@ -0,0 +1,79 @@
+/*
+ * Cluster Node
+ * このインスタンスの WebSocket 接続と、共有ストア・メッセージバスをつなぐ中継層。
+ * 宛先の接続がこのインスタンスにあれば直接処理し、なければバス経由で他のインスタンスに届ける。
+ * - dispatch(wsId, action, payload): 宛先の接続を持つインスタンスで onAction の処理を実行する ('send' は組み込み)
+ * - publishEvent(name, payload): 全インスタンス (自分を含む) の onEvent の処理を実行する
+ */
+
+const WebSocket = require('ws');
+
+// sockets: wsId -> ws (このインスタンスの接続)
+function createClusterNode({ instanceId, store, bus, sockets = new Map() }) {
+    const actionHandlers = new Map([['send', (ws, payload) => ws.send(JSON.stringify(payload))]]);
+    const eventHandlers = new Map([['send_all', payload => sendToLocalClients(payload)]]);
+
+    function runLocalAction(wsId, action, payload) {
+        const ws = sockets.get(wsId);
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        const handler = actionHandlers.get(action);
+        if (handler) handler(ws, payload);
+    }
+
+    function sendToLocalClients(payload) {
+        const message = JSON.stringify(payload);
+        sockets.forEach(ws => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(message);
+        });
+    }
+
+    bus.subscribe('deliver', ({ wsId, action, payload }) => runLocalAction(wsId, action, payload));
+    bus.subscribe('event', ({ name, payload }) => {
+        const handler = eventHandlers.get(name);
+        if (handler) handler(payload);
+    });
+
+    async function dispatch(wsId, action, payload) {
+        if (!wsId) return;
+        if (sockets.has(wsId)) return runLocalAction(wsId, action, payload);
+        await bus.publish('deliver', { wsId, action, payload });
+    }
+
+    async function sendToWs(wsId, payload) {
+        await dispatch(wsId, 'send', payload);
+    }
+
+    return {
+        instanceId,
+        sockets,
+        registerSocket(wsId, ws) {
+            sockets.set(wsId, ws);
+        },
+        unregisterSocket(wsId) {
+            sockets.delete(wsId);
+        },
+        onAction(action, handler) {
+            actionHandlers.set(action, handler);
+        },
+        onEvent(name, handler) {
+            eventHandlers.set(name, handler);
+        },
+        dispatch,
+        sendToWs,
+        async sendToUser(userId, payload) {
+            await sendToWs(await store.getUserSocket(userId), payload);
+        },
+        async isUserOnline(userId) {
+            return !!(await store.getUserSocket(userId));
+        },
+        async publishEvent(name, payload) {
+            await bus.publish('event', { name, payload });
+        },
+        // 全インスタンスの全接続に送る
+        async broadcast(payload) {
+            await bus.publish('event', { name: 'send_all', payload });
+        }
+    };
+}
+
+module.exports = { createClusterNode };
@@ -0,0 +1,211 @@
+/*
+ * HTTP REST API
+ * WebSocket にログインせずに読める公開データを JSON で返す。
+ * - GET /ranking           ランキング (?limit=&offset=&seasonId=)
+ * - GET /users/:username   公開プロフィール
+ * - GET /matches/:id       対戦情報
+ * - GET /matches/:id/replay  確定済みの対戦のリプレイ (JSON ファイルとしてダウンロード)
+ * - GET /broadcasts        配信中の観戦ルーム一覧
+ * - GET /health            接続数・キュー人数
+ * エラーは常に { error: { code, message } } の形で返す。
+ */
+
+const crypto = require('crypto');
+const { validate: isUuid } = require('uuid');
+const replays = require('./replays');
+const series = require('./series');
+
+const RANKING_DEFAULT_LIMIT = 100;
+const RANKING_MAX_LIMIT = 100;
+const PROFILE_RECENT_MATCHES = 20;
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function parseIntParam(value, fallback, min, max) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        throw new HttpError(400, 'invalid_parameter', `パラメータは${min}以上${max}以下の整数で指定してください。`);
+    }
+    return parsed;
+}
+
+// 不正なパーセントエンコーディング (%E0%A4%A など) は URIError になるため 400 にする
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        if (err instanceof URIError) throw new HttpError(400, 'invalid_parameter', 'URL のエンコードが正しくありません。');
+        throw err;
+    }
+}
+
+// deps: { storage, getRankingPage: ({ offset, limit }) => Promise<{ users, total }>, getHealth: () => Promise<object>, getBroadcastList: () => Promise<array>, corsOrigin }
+function createHttpApi({ storage, getRankingPage, getHealth, getBroadcastList, corsOrigin = '*' }) {
+    async function getRanking(url) {
+        const limit = parseIntParam(url.searchParams.get('limit'), RANKING_DEFAULT_LIMIT, 1, RANKING_MAX_LIMIT);
+        const offset = parseIntParam(url.searchParams.get('offset'), 0, 0, Number.MAX_SAFE_INTEGER);
+        const seasonId = url.searchParams.get('seasonId');
+        if (seasonId) return getSeasonRanking(seasonId, limit, offset);
+        const { users, total } = await getRankingPage({ offset, limit });
+        return {
+            data: users.map((user, index) => ({ rank: offset + index + 1, username: user.username, rate: user.rate })),
+            pagination: { limit, offset, total }
+        };
+    }
+
+    // 過去シーズンの最終順位
+    async function getSeasonRanking(seasonId, limit, offset) {
+        const season = await storage.seasons.findById(seasonId);
+        if (!season) throw new HttpError(404, 'season_not_found', 'シーズンが見つかりません。');
+        const { rows, total } = await storage.leaderboards.listForSeason(seasonId, { offset, limit });
+        return {
+            season: { seasonId: season.season_id, name: season.name },
+            data: rows.map(row => ({ rank: row.rank, username: row.username, rate: row.rate })),
+            pagination: { limit, offset, total }
+        };
+    }
+
+    async function getSeasonPlacements(userId) {
+        const placements = await storage.leaderboards.listForUser(userId);
+        if (placements.length === 0) return [];
+        const seasons = await storage.seasons.findManyByIds(placements.map(placement => placement.season_id));
+        const seasonsById = new Map(seasons.map(season => [season.season_id, season]));
+        return placements
+            .map(placement => ({
+                seasonId: placement.season_id,
+                seasonName: seasonsById.get(placement.season_id)?.name || null,
+                endedAt: seasonsById.get(placement.season_id)?.ends_at || null,
+                rank: placement.rank,
+                rate: placement.rate
+            }))
+            .sort((a, b) => (b.endedAt || '').localeCompare(a.endedAt || ''));
+    }
+
+    async function getUsernames(userIds) {
+        const users = await storage.users.findManyByIds(userIds);
+        return new Map(users.map(user => [user.user_id, user.username]));
+    }
+
+    async function getUserProfile(username) {
+        const user = await storage.users.findByUsername(username);
+        if (!user) throw new HttpError(404, 'user_not_found', 'ユーザーが見つかりません。');
+
+        const [matches, decided, wins] = await Promise.all([
+            storage.matches.listResolvedForUser(user.user_id, PROFILE_RECENT_MATCHES),
+            storage.matches.countDecidedForUser(user.user_id),
+            storage.matches.countWinsForUser(user.user_id)
+        ]);
+
+        const opponentIds = matches.map(match => (match.player1_id === user.user_id ? match.player2_id : match.player1_id));
+        const usernames = await getUsernames([...new Set(opponentIds)]);
+        return {
+            username: user.username,
+            rate: user.rate,
+            wins,
+            losses: decided - wins,
+            winRate: decided ? wins / decided : null,
+            pastSeasons: await getSeasonPlacements(user.user_id),
+            recentMatches: matches.map((match, index) => ({
+                matchId: match.match_id,
+                opponentUsername: usernames.get(opponentIds[index]) || null,
+                result: match.winner_id ? (match.winner_id === user.user_id ? 'win' : 'lose') : 'void',
+                resolution: match.resolution,
+                matchType: match.match_type || 'ranked',
+                rated: match.is_rated !== false,
+                resolvedAt: match.resolved_at
+            }))
+        };
+    }
+
+    // match_id は uuid 列なので、形式が違う ID はストレージに問い合わせずに見つからない扱いにする
+    async function findMatch(matchId) {
+        const match = isUuid(matchId) ? await storage.matches.findById(matchId) : null;
+        if (!match) throw new HttpError(404, 'match_not_found', '対戦が見つかりません。');
+        return match;
+    }
+
+    async function getMatch(matchId) {
+        const match = await findMatch(matchId);
+        const usernames = await getUsernames([match.player1_id, match.player2_id]);
+        return {
+            matchId: match.match_id,
+            player1: { userId: match.player1_id, username: usernames.get(match.player1_id) || null },
+            player2: { userId: match.player2_id, username: usernames.get(match.player2_id) || null },
+            status: match.status || (match.resolved_at ? 'resolved' : 'open'),
+            resolution: match.resolution || null,
+            winnerUserId: match.winner_id || null,
+            matchType: match.match_type || 'ranked',
+            rated: match.is_rated !== false,
+            tournamentId: match.tournament_id || null,
+            series: series.formatSeries(match),
+            reportDeadline: match.report_deadline || null,
+            resolvedAt: match.resolved_at || null
+        };
+    }
+
+    async function getReplay(matchId, res) {
+        const match = await findMatch(matchId);
+        if (!match.resolved_at) throw new HttpError(409, 'match_in_progress', '対戦の結果が確定するまでリプレイは公開されません。');
+        const events = await storage.matchEvents.listForMatch(matchId);
+        const usernames = await getUsernames([match.player1_id, match.player2_id]);
+        res.setHeader('Content-Disposition', `attachment; filename="${replays.replayFileName(match)}"`);
+        return replays.buildReplay(match, events, usernames);
+    }
+
+    async function route(method, url, res) {
+        if (method !== 'GET') throw new HttpError(405, 'method_not_allowed', 'GET のみ対応しています。');
+        const segments = url.pathname.split('/').filter(Boolean).map(decodePathSegment);
+        if (segments.length === 1 && segments[0] === 'ranking') return getRanking(url);
+        if (segments.length === 2 && segments[0] === 'users') return getUserProfile(segments[1]);
+        if (segments.length === 2 && segments[0] === 'matches') return getMatch(segments[1]);
+        if (segments.length === 3 && segments[0] === 'matches' && segments[2] === 'replay') return getReplay(segments[1], res);
+        if (segments.length === 1 && segments[0] === 'broadcasts') return { data: await getBroadcastList() };
+        if (segments.length === 1 && segments[0] === 'health') return getHealth();
+        throw new HttpError(404, 'not_found', '見つかりません。');
+    }
+
+    function send(req, res, status, payload) {
+        const body = JSON.stringify(payload);
+        const etag = `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+        const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache', ETag: etag };
+        if (status === 200 && req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+        res.writeHead(status, headers);
+        res.end(body);
+    }
+
+    return async function handleHttpRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag, Content-Disposition');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end('WebSocket server is running.');
+        }
+        try {
+            send(req, res, 200, await route(req.method, url, res));
+        } catch (err) {
+            if (err instanceof HttpError) return send(req, res, err.status, { error: { code: err.code, message: err.message } });
+            console.error(`HTTP ${req.method} ${url.pathname} failed:`, err);
+            send(req, res, 500, { error: { code: 'internal_error', message: 'サーバーエラーが発生しました。' } });
+        }
+    };
+}
+
+module.exports = { createHttpApi, HttpError };
@@ -0,0 +1,134 @@
+/*
+ * Match History & Stats
+ * users.match_history を構造化された記録として扱う。
+ * 記録: { matchId, timestamp, opponentId, opponentUsername, result, rateBefore, rateAfter, rateDelta, myDeck, opponentDeck, matchType, rated,
+ *         seriesFormat, gameScore: { won, lost } | null (Bo3 / Bo5 のみ) }
+ * 旧形式の文字列 ("<日時> vs <相手>: <結果> (<レート>)") は読み込み時に変換する。
+ */
+
+const INITIAL_RATE = 1500;
+const STATS_PERIODS = ['day', 'week', 'month'];
+const LEGACY_ENTRY_PATTERN = /^(.*) vs (.+): (\S+) \((-?\d+)\)$/;
+
+function createHistoryEntry({ matchId, opponentId, opponentUsername, result, rateBefore, rateAfter, myDeck, opponentDeck, matchType, rated, seriesFormat, gamesWon, gamesLost, timestamp }) {
+    return {
+        matchId,
+        timestamp: timestamp || new Date().toISOString(),
+        opponentId,
+        opponentUsername,
+        result,
+        rateBefore,
+        rateAfter,
+        rateDelta: rateAfter - rateBefore,
+        myDeck: myDeck || null,
+        opponentDeck: opponentDeck || null,
+        matchType: matchType || 'ranked',
+        rated: rated !== false,
+        seriesFormat: seriesFormat || 'bo1',
+        gameScore: gamesWon === undefined ? null : { won: gamesWon, lost: gamesLost }
+    };
+}
+
+// 旧形式の文字列を変換する。直前の記録のレートを変動前のレートとして扱う。
+function parseLegacyEntry(text, previousRate) {
+    const match = LEGACY_ENTRY_PATTERN.exec(text);
+    if (!match) {
+        return { ...createHistoryEntry({ matchId: null, opponentId: null, opponentUsername: null, result: 'unknown', rateBefore: previousRate, rateAfter: previousRate, timestamp: null }), legacyText: text };
+    }
+    const [, dateText, opponentUsername, result, rateText] = match;
+    const parsedTime = Date.parse(dateText);
+    return {
+        ...createHistoryEntry({
+            matchId: null,
+            opponentId: null,
+            opponentUsername,
+            result: result === 'draw/cancel' ? 'void' : result,
+            rateBefore: previousRate,
+            rateAfter: Number(rateText),
+            timestamp: Number.isNaN(parsedTime) ? null : new Date(parsedTime).toISOString()
+        }),
+        legacyText: text
+    };
+}
+
+function normalizeMatchHistory(history) {
+    if (!Array.isArray(history)) return [];
+    let previousRate = INITIAL_RATE;
+    return history.map(entry => {
+        const normalized = typeof entry === 'string' ? parseLegacyEntry(entry, previousRate) : entry;
+        if (Number.isFinite(normalized?.rateAfter)) previousRate = normalized.rateAfter;
+        return normalized;
+    }).filter(Boolean);
+}
+
+function hasLegacyEntries(history) {
+    return Array.isArray(history) && history.some(entry => typeof entry === 'string');
+}
+
+function periodKey(timestamp, period) {
+    const date = new Date(timestamp);
+    if (period === 'day') return date.toISOString().slice(0, 10);
+    if (period === 'week') {
+        // 月曜始まりの週の初日 (UTC)
+        const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+        return monday.toISOString().slice(0, 10);
+    }
+    return date.toISOString().slice(0, 7);
+}
+
+function emptyTally() {
+    return { games: 0, wins: 0, losses: 0, winRate: null };
+}
+
+function addResult(tally, result) {
+    tally.games++;
+    if (result === 'win') tally.wins++;
+    else tally.losses++;
+    tally.winRate = tally.wins / tally.games;
+}
+
+// 勝敗が付いた対戦のみを集計する (無効試合は除外)
+function buildStats(history, { period = 'month' } = {}) {
+    const entries = normalizeMatchHistory(history).filter(entry => entry.result === 'win' || entry.result === 'lose');
+    const overall = emptyTally();
+    const byDeck = new Map();
+    const byOpponent = new Map();
+    const overTime = new Map();
+
+    entries.forEach(entry => {
+        addResult(overall, entry.result);
+
+        const deckKey = entry.myDeck || null;
+        if (!byDeck.has(deckKey)) byDeck.set(deckKey, { deck: deckKey, ...emptyTally() });
+        addResult(byDeck.get(deckKey), entry.result);
+
+        const opponentKey = entry.opponentId || `name:${entry.opponentUsername}`;
+        if (!byOpponent.has(opponentKey)) byOpponent.set(opponentKey, { opponentId: entry.opponentId, opponentUsername: entry.opponentUsername, ...emptyTally() });
+        const opponentTally = byOpponent.get(opponentKey);
+        opponentTally.opponentUsername = entry.opponentUsername || opponentTally.opponentUsername;
+        addResult(opponentTally, entry.result);
+
+        if (!entry.timestamp) return;
+        const key = periodKey(entry.timestamp, period);
+        if (!overTime.has(key)) overTime.set(key, { period: key, ...emptyTally(), rateEnd: null });
+        const periodTally = overTime.get(key);
+        addResult(periodTally, entry.result);
+        periodTally.rateEnd = entry.rateAfter;
+    });
+
+    const byGames = (a, b) => b.games - a.games;
+    return {
+        overall,
+        byDeck: Array.from(byDeck.values()).sort(byGames),
+        byOpponent: Array.from(byOpponent.values()).sort(byGames),
+        overTime: Array.from(overTime.values()).sort((a, b) => a.period.localeCompare(b.period))
+    };
+}
+
+module.exports = {
+    STATS_PERIODS,
+    createHistoryEntry,
+    normalizeMatchHistory,
+    hasLegacyEntries,
+    buildStats
+};
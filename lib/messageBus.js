@@ -0,0 +1,44 @@
+/*
+ * Message Bus
+ * インスタンス間でメッセージを中継する pub/sub。
+ * - createLocalMessageBus: 1プロセス内の代替。同じバスを渡した複数インスタンスが互いのメッセージを受け取る。
+ * - createRedisMessageBus: Redis 互換サーバーの PUBLISH / SUBSCRIBE を使う (node-redis v4 のクライアントを渡す)。
+ * バスは { publish(channel, message), subscribe(channel, handler) } を実装し、message は JSON 化できる値とする。
+ */
+
+const { EventEmitter } = require('events');
+
+function createLocalMessageBus() {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    return {
+        async publish(channel, message) {
+            // Redis と同様に非同期で、シリアライズした値を届ける
+            const serialized = JSON.stringify(message);
+            setImmediate(() => emitter.emit(channel, JSON.parse(serialized)));
+        },
+        async subscribe(channel, handler) {
+            emitter.on(channel, handler);
+        }
+    };
+}
+
+// subscriber は購読専用の接続 (publisher.duplicate() など) を渡す
+function createRedisMessageBus(publisher, subscriber, { channelPrefix = 'tcg:' } = {}) {
+    return {
+        async publish(channel, message) {
+            await publisher.publish(`${channelPrefix}${channel}`, JSON.stringify(message));
+        },
+        async subscribe(channel, handler) {
+            await subscriber.subscribe(`${channelPrefix}${channel}`, text => {
+                try {
+                    handler(JSON.parse(text));
+                } catch (err) {
+                    console.error(`Error handling bus message on ${channel}:`, err);
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createLocalMessageBus, createRedisMessageBus };
@@ -0,0 +1,197 @@
+/*
+ * WebSocket Message Schemas
+ * クライアントから届くメッセージの型・長さ・サイズを検証する。
+ * 各スキーマは { responseType, fields } で、検証に失敗した場合は responseType (なければ 'error') で返信する。
+ * フィールド定義: { type: 'string' | 'boolean' | 'integer' | 'array' | 'json', required, nullable,
+ *                   minLength, maxLength, pattern, enum, min, max, maxItems, maxBytes }
+ * スキーマにないフィールドは無視する。
+ */
+
+const USERNAME_PATTERN = /^[^\s\u0000-\u001f\u007f]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_SIGNAL_BYTES = 16 * 1024;
+const MAX_GAME_ACTION_BYTES = 4 * 1024;
+
+const uuid = (required = true) => ({ type: 'string', required, pattern: UUID_PATTERN });
+const deck = { type: 'string', maxLength: 50 };
+const seriesFormat = { type: 'string', enum: ['bo1', 'bo3', 'bo5'] };
+const roomId = { type: 'string', required: true, maxLength: 64 };
+const signal = { type: 'json', required: true, maxBytes: MAX_SIGNAL_BYTES };
+const targetUsername = { type: 'string', required: true, maxLength: 64 };
+const reason = { type: 'string', maxLength: 200 };
+const roomSettings = {
+    title: { type: 'string', maxLength: 50 },
+    visibility: { type: 'string', enum: ['public', 'friends', 'password'] },
+    password: { type: 'string', minLength: 1, maxLength: 72 },
+    maxSpectators: { type: 'integer', min: 1, max: 500, nullable: true },
+    chatSlowModeSeconds: { type: 'integer', min: 0, max: 600 }
+};
+
+const MESSAGE_SCHEMAS = {
+    register: {
+        responseType: 'register_response',
+        fields: {
+            username: { type: 'string', required: true, minLength: 3, maxLength: 15, pattern: USERNAME_PATTERN },
+            password: { type: 'string', required: true, minLength: 8, maxLength: 72 }
+        }
+    },
+    login: {
+        responseType: 'login_response',
+        fields: {
+            username: { type: 'string', required: true, maxLength: 64 },
+            password: { type: 'string', required: true, maxLength: 128 }
+        }
+    },
+    auto_login: { responseType: 'auto_login_response', fields: { sessionToken: { type: 'string', required: true, maxLength: 512 } } },
+    logout: { fields: {} },
+    logout_all_devices: { responseType: 'logout_all_devices_response', fields: {} },
+    update_user_data: {
+        responseType: 'update_user_data_response',
+        fields: {
+            memos: { type: 'array', maxItems: 500, maxBytes: 100 * 1024 },
+            battleRecords: { type: 'array', maxItems: 2000, maxBytes: 200 * 1024 },
+            registeredDecks: { type: 'array', maxItems: 100, maxBytes: 200 * 1024 }
+        }
+    },
+    change_username: {
+        responseType: 'change_username_response',
+        fields: { newUsername: { type: 'string', required: true, minLength: 3, maxLength: 15, pattern: USERNAME_PATTERN } }
+    },
+    join_queue: { fields: { deck, seriesFormat } },
+    leave_queue: { fields: {} },
+    send_friend_request: { responseType: 'send_friend_request_response', fields: { username: { type: 'string', required: true, maxLength: 64 } } },
+    accept_friend_request: { responseType: 'accept_friend_request_response', fields: { userId: uuid() } },
+    decline_friend_request: { responseType: 'decline_friend_request_response', fields: { userId: uuid() } },
+    remove_friend: { responseType: 'remove_friend_response', fields: { userId: uuid() } },
+    get_friend_list: { responseType: 'friend_list', fields: {} },
+    challenge_player: { responseType: 'challenge_player_response', fields: { targetUserId: uuid(), rated: { type: 'boolean' }, deck, seriesFormat } },
+    accept_challenge: { responseType: 'accept_challenge_response', fields: { challengeId: uuid(), deck } },
+    decline_challenge: { responseType: 'decline_challenge_response', fields: { challengeId: uuid() } },
+    create_tournament: {
+        responseType: 'create_tournament_response',
+        fields: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+            format: { type: 'string', required: true, enum: ['swiss', 'single_elimination'] },
+            totalRounds: { type: 'integer', min: 1, max: 20 },
+            rated: { type: 'boolean' }
+        }
+    },
+    join_tournament: { responseType: 'join_tournament_response', fields: { tournamentId: uuid(), deck } },
+    leave_tournament: { responseType: 'leave_tournament_response', fields: { tournamentId: uuid() } },
+    get_tournament_list: { responseType: 'tournament_list', fields: {} },
+    get_tournament: { responseType: 'tournament_data', fields: { tournamentId: uuid() } },
+    start_tournament_round: { responseType: 'start_tournament_round_response', fields: { tournamentId: uuid() } },
+    webrtc_signal: { fields: { signal } },
+    report_result: {
+        responseType: 'report_result_response',
+        fields: { matchId: uuid(), result: { type: 'string', required: true, enum: ['win', 'lose'] }, gameNumber: { type: 'integer', min: 1, max: 5 } }
+    },
+    select_next_deck: { responseType: 'select_next_deck_response', fields: { matchId: uuid(), deck: { ...deck, nullable: true } } },
+    game_action: {
+        responseType: 'game_action_response',
+        fields: {
+            matchId: uuid(),
+            game: { type: 'integer', min: 1, max: 5 },
+            turn: { type: 'integer', required: true, min: 0, max: 100000 },
+            seq: { type: 'integer', required: true, min: 1, max: 1000000 },
+            action: { type: 'json', required: true, maxBytes: MAX_GAME_ACTION_BYTES }
+        }
+    },
+    get_replay: { responseType: 'replay_data', fields: { matchId: uuid() } },
+    get_disputed_matches: { responseType: 'disputed_matches', fields: {} },
+    resolve_dispute: { responseType: 'resolve_dispute_response', fields: { matchId: uuid(), winnerUserId: { ...uuid(false), nullable: true } } },
+    get_stats: { responseType: 'stats_data', fields: { period: { type: 'string', enum: ['day', 'week', 'month'] } } },
+    get_ranking: { responseType: 'ranking_data', fields: { seasonId: uuid(false) } },
+    get_seasons: { responseType: 'seasons_data', fields: {} },
+    schedule_season: {
+        responseType: 'schedule_season_response',
+        fields: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+            startsAt: { type: 'string', required: true, maxLength: 64 },
+            endsAt: { type: 'string', required: true, maxLength: 64 }
+        }
+    },
+    ban_user: { responseType: 'ban_user_response', fields: { username: targetUsername, durationMinutes: { type: 'integer', min: 1, max: 525600 }, reason } },
+    unban_user: { responseType: 'unban_user_response', fields: { username: targetUsername, reason } },
+    mute_user: { responseType: 'mute_user_response', fields: { username: targetUsername, durationMinutes: { type: 'integer', required: true, min: 1, max: 43200 }, reason } },
+    unmute_user: { responseType: 'unmute_user_response', fields: { username: targetUsername, reason } },
+    adjust_rate: { responseType: 'adjust_rate_response', fields: { username: targetUsername, rate: { type: 'integer', required: true, min: 0, max: 5000 }, reason: { ...reason, required: true, minLength: 1 } } },
+    set_user_role: { responseType: 'set_user_role_response', fields: { username: targetUsername, role: { type: 'string', required: true, enum: ['user', 'moderator', 'admin'] }, reason } },
+    force_resolve_match: { responseType: 'force_resolve_match_response', fields: { matchId: uuid(), winnerUserId: uuid(), reason } },
+    void_match: { responseType: 'void_match_response', fields: { matchId: uuid(), reason } },
+    close_spectate_room: { responseType: 'close_spectate_room_response', fields: { roomId, reason } },
+    announce: { responseType: 'announce_response', fields: { message: { type: 'string', required: true, minLength: 1, maxLength: 500 } } },
+    get_audit_log: {
+        responseType: 'audit_log',
+        fields: {
+            limit: { type: 'integer', min: 1, max: 200 },
+            offset: { type: 'integer', min: 0, max: 100000 },
+            action: { type: 'string', maxLength: 64 },
+            targetUserId: uuid(false)
+        }
+    },
+    start_broadcast: { responseType: 'broadcast_started', fields: { ...roomSettings, linkMatch: { type: 'boolean' } } },
+    update_broadcast_settings: { responseType: 'update_broadcast_settings_response', fields: { roomId, ...roomSettings } },
+    stop_broadcast: { fields: { roomId } },
+    join_spectate_room: { responseType: 'join_spectate_room_response', fields: { roomId, password: { type: 'string', maxLength: 72 } } },
+    leave_spectate_room: { fields: { roomId } },
+    kick_spectator: { responseType: 'kick_spectator_response', fields: { roomId, spectatorId: uuid(), ban: { type: 'boolean' } } },
+    unban_spectator: { responseType: 'unban_spectator_response', fields: { roomId, userId: uuid() } },
+    spectate_chat: { responseType: 'spectate_chat_response', fields: { roomId, text: { type: 'string', required: true, minLength: 1, maxLength: 300 } } },
+    delete_chat_message: { responseType: 'delete_chat_message_response', fields: { roomId, messageId: uuid() } },
+    mute_chat_user: { responseType: 'mute_chat_user_response', fields: { roomId, userId: uuid(), muted: { type: 'boolean', required: true } } },
+    webrtc_signal_to_spectator: { fields: { roomId, spectatorId: uuid(), signal } },
+    webrtc_signal_to_broadcaster: { fields: { roomId, signal } },
+    get_broadcast_list: { fields: {} }
+};
+
+function byteLength(value) {
+    return Buffer.byteLength(JSON.stringify(value) ?? '', 'utf8');
+}
+
+function validateField(name, value, rule) {
+    if (value === undefined) return rule.required ? `${name} は必須です。` : null;
+    if (value === null) return rule.nullable || !rule.required ? null : `${name} は必須です。`;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} は文字列で指定してください。`;
+            if (rule.minLength !== undefined && value.length < rule.minLength) return `${name} は${rule.minLength}文字以上にしてください。`;
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${name} は${rule.maxLength}文字以下にしてください。`;
+            if (rule.pattern && !rule.pattern.test(value)) return `${name} の形式が正しくありません。`;
+            if (rule.enum && !rule.enum.includes(value)) return `${name} には ${rule.enum.join(' / ')} のいずれかを指定してください。`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} は true / false で指定してください。`;
+        case 'integer':
+            if (!Number.isInteger(value)) return `${name} は整数で指定してください。`;
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) return `${name} は${rule.min}以上${rule.max}以下にしてください。`;
+            return null;
+        case 'array':
+            if (!Array.isArray(value)) return `${name} は配列で指定してください。`;
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) return `${name} は${rule.maxItems}件以下にしてください。`;
+            if (rule.maxBytes !== undefined && byteLength(value) > rule.maxBytes) return `${name} のサイズが大きすぎます。`;
+            return null;
+        case 'json':
+            if (rule.maxBytes !== undefined && byteLength(value) > rule.maxBytes) return `${name} のサイズが大きすぎます。`;
+            return null;
+        default:
+            return null;
+    }
+}
+
+// 問題がなければ null、あれば { responseType, message } を返す
+function validateMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+        return { responseType: 'error', message: 'メッセージの形式が正しくありません。' };
+    }
+    const schema = MESSAGE_SCHEMAS[data.type];
+    if (!schema) return { responseType: 'error', message: `不明なメッセージです: ${data.type.slice(0, 64)}` };
+    for (const [name, rule] of Object.entries(schema.fields)) {
+        const message = validateField(name, data[name], rule);
+        if (message) return { responseType: schema.responseType || 'error', message };
+    }
+    return null;
+}
+
+module.exports = { MESSAGE_SCHEMAS, validateMessage };
@@ -0,0 +1,73 @@
+/*
+ * Rate Limiting
+ * - トークンバケット: 接続ごと・IP ごとのメッセージ流量を制限する。
+ * - ログイン制限: 失敗が続いたキーを一定時間ロックし、失敗のたびにロック時間を倍にする。
+ */
+
+function createTokenBucket({ capacity, refillPerSecond }) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    return {
+        take(cost = 1) {
+            const now = Date.now();
+            tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+            lastRefill = now;
+            if (tokens < cost) return false;
+            tokens -= cost;
+            return true;
+        },
+        isFull() {
+            return tokens + ((Date.now() - lastRefill) / 1000) * refillPerSecond >= capacity;
+        }
+    };
+}
+
+// キー (IP アドレスなど) ごとにバケットを持つ。満タンに戻ったバケットは prune で捨てる。
+function createKeyedRateLimiter({ capacity, refillPerSecond }) {
+    const buckets = new Map();
+    return {
+        take(key, cost = 1) {
+            if (!buckets.has(key)) buckets.set(key, createTokenBucket({ capacity, refillPerSecond }));
+            return buckets.get(key).take(cost);
+        },
+        prune() {
+            buckets.forEach((bucket, key) => {
+                if (bucket.isFull()) buckets.delete(key);
+            });
+        }
+    };
+}
+
+function createLoginThrottle({ maxFailures = 5, baseLockoutMs = 30 * 1000, maxLockoutMs = 15 * 60 * 1000, resetAfterMs = 60 * 60 * 1000 } = {}) {
+    const attempts = new Map(); // key -> { failures, lockedUntil, lastFailureAt }
+    return {
+        // ロック中なら残り時間 (ms)、そうでなければ 0 を返す
+        getLockRemaining(key) {
+            const entry = attempts.get(key);
+            return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+        },
+        recordFailure(key) {
+            const now = Date.now();
+            const entry = attempts.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+            if (now - entry.lastFailureAt > resetAfterMs) entry.failures = 0;
+            entry.failures++;
+            entry.lastFailureAt = now;
+            if (entry.failures >= maxFailures) {
+                const lockoutMs = Math.min(maxLockoutMs, baseLockoutMs * Math.pow(2, entry.failures - maxFailures));
+                entry.lockedUntil = now + lockoutMs;
+            }
+            attempts.set(key, entry);
+        },
+        recordSuccess(key) {
+            attempts.delete(key);
+        },
+        prune() {
+            const now = Date.now();
+            attempts.forEach((entry, key) => {
+                if (entry.lockedUntil <= now && now - entry.lastFailureAt > resetAfterMs) attempts.delete(key);
+            });
+        }
+    };
+}
+
+module.exports = { createTokenBucket, createKeyedRateLimiter, createLoginThrottle };
@@ -0,0 +1,43 @@
+/*
+ * Elo Rating Engine
+ * 固定の K 係数で更新する従来のレート計算。レーティング偏差 (RD) は扱わない。
+ */
+
+const DEFAULT_RATE = 1500;
+const DEFAULT_K_FACTOR = 32;
+
+function createEloEngine({ kFactor = DEFAULT_K_FACTOR } = {}) {
+    function expectedScore(rate, opponentRate) {
+        return 1 / (1 + Math.pow(10, (opponentRate - rate) / 400));
+    }
+
+    return {
+        name: 'elo',
+        usesDeviation: false,
+
+        initialState() {
+            return { rate: DEFAULT_RATE, deviation: null, volatility: null, updatedAt: null };
+        },
+
+        // p1Score: プレイヤー1の得点 (勝ち 1 / 負け 0)。options.p1KFactor / p2KFactor で配置戦の K を指定できる。
+        rateMatch(p1, p2, p1Score, options = {}) {
+            const p1K = options.p1KFactor ?? kFactor;
+            const p2K = options.p2KFactor ?? kFactor;
+            const now = options.now ?? Date.now();
+            return {
+                p1: { ...p1, rate: Math.round(p1.rate + p1K * (p1Score - expectedScore(p1.rate, p2.rate))), updatedAt: now },
+                p2: { ...p2, rate: Math.round(p2.rate + p2K * ((1 - p1Score) - expectedScore(p2.rate, p1.rate))), updatedAt: now }
+            };
+        },
+
+        decay(state) {
+            return state;
+        },
+
+        seasonReset(state, factor) {
+            return { ...state, rate: Math.round(DEFAULT_RATE + (state.rate - DEFAULT_RATE) * factor) };
+        }
+    };
+}
+
+module.exports = { createEloEngine };
@@ -0,0 +1,155 @@
+/*
+ * Glicko-2 Rating Engine
+ * Mark E. Glickman, "Example of the Glicko-2 system" に沿った実装。
+ * 各プレイヤーはレーティング (rate)・レーティング偏差 (deviation)・変動率 (volatility) を持つ。
+ * 対戦のない期間が続くと、レーティング期間ごとに偏差が大きくなる。
+ */
+
+const GLICKO2_SCALE = 173.7178;
+const DEFAULT_RATE = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const DEFAULT_TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const DEFAULT_RATING_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, opponentMu, opponentPhi) {
+    return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// Step 5: Illinois 法で新しい変動率を求める
+function computeVolatility(phi, sigma, v, delta, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = x => {
+        const ex = Math.exp(x);
+        const denominator = phi * phi + v + ex;
+        return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * tau) < 0) k++;
+        B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA = fA / 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    return Math.exp(A / 2);
+}
+
+/**
+ * 1レーティング期間分の結果から新しいレーティングを求める。
+ * player: { rate, deviation, volatility }
+ * results: [{ opponent: { rate, deviation }, score }] (score: 勝ち 1 / 引き分け 0.5 / 負け 0)
+ */
+function updateRating(player, results, tau = DEFAULT_TAU) {
+    const mu = (player.rate - DEFAULT_RATE) / GLICKO2_SCALE;
+    const phi = player.deviation / GLICKO2_SCALE;
+    const sigma = player.volatility;
+
+    // 対戦がない期間は偏差だけが大きくなる
+    if (results.length === 0) {
+        return { rate: player.rate, deviation: Math.sqrt(phi * phi + sigma * sigma) * GLICKO2_SCALE, volatility: sigma };
+    }
+
+    let vInverse = 0;
+    let deltaSum = 0;
+    results.forEach(({ opponent, score }) => {
+        const opponentMu = (opponent.rate - DEFAULT_RATE) / GLICKO2_SCALE;
+        const opponentPhi = opponent.deviation / GLICKO2_SCALE;
+        const gPhi = g(opponentPhi);
+        const E = expectedScore(mu, opponentMu, opponentPhi);
+        vInverse += gPhi * gPhi * E * (1 - E);
+        deltaSum += gPhi * (score - E);
+    });
+    const v = 1 / vInverse;
+    const delta = v * deltaSum;
+
+    const newSigma = computeVolatility(phi, sigma, v, delta, tau);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * deltaSum;
+
+    return { rate: newMu * GLICKO2_SCALE + DEFAULT_RATE, deviation: newPhi * GLICKO2_SCALE, volatility: newSigma };
+}
+
+function createGlicko2Engine({ tau = DEFAULT_TAU, ratingPeriodMs = DEFAULT_RATING_PERIOD_MS, seasonResetDeviation = 200 } = {}) {
+    function normalize(state) {
+        return {
+            rate: state.rate ?? DEFAULT_RATE,
+            deviation: state.deviation ?? DEFAULT_DEVIATION,
+            volatility: state.volatility ?? DEFAULT_VOLATILITY,
+            updatedAt: state.updatedAt ?? null
+        };
+    }
+
+    // 最後に更新されてから経過したレーティング期間の分だけ偏差を大きくする
+    function decay(state, now = Date.now()) {
+        const current = normalize(state);
+        if (!current.updatedAt) return current;
+        const periods = Math.floor((now - current.updatedAt) / ratingPeriodMs);
+        if (periods < 1) return current;
+        const phi = current.deviation / GLICKO2_SCALE;
+        const decayedPhi = Math.sqrt(phi * phi + periods * current.volatility * current.volatility);
+        return {
+            ...current,
+            deviation: Math.min(DEFAULT_DEVIATION, decayedPhi * GLICKO2_SCALE),
+            updatedAt: current.updatedAt + periods * ratingPeriodMs
+        };
+    }
+
+    return {
+        name: 'glicko2',
+        usesDeviation: true,
+
+        initialState() {
+            return { rate: DEFAULT_RATE, deviation: DEFAULT_DEVIATION, volatility: DEFAULT_VOLATILITY, updatedAt: null };
+        },
+
+        // 1対戦を1レーティング期間として扱う。表示用のレートは整数に丸める。
+        rateMatch(p1, p2, p1Score, options = {}) {
+            const now = options.now ?? Date.now();
+            const p1Current = decay(p1, now);
+            const p2Current = decay(p2, now);
+            const p1Next = updateRating(p1Current, [{ opponent: p2Current, score: p1Score }], tau);
+            const p2Next = updateRating(p2Current, [{ opponent: p1Current, score: 1 - p1Score }], tau);
+            return {
+                p1: { ...p1Next, rate: Math.round(p1Next.rate), updatedAt: now },
+                p2: { ...p2Next, rate: Math.round(p2Next.rate), updatedAt: now }
+            };
+        },
+
+        decay,
+
+        seasonReset(state, factor) {
+            const current = normalize(state);
+            return {
+                ...current,
+                rate: Math.round(DEFAULT_RATE + (current.rate - DEFAULT_RATE) * factor),
+                deviation: Math.max(current.deviation, seasonResetDeviation)
+            };
+        }
+    };
+}
+
+module.exports = { createGlicko2Engine, updateRating };
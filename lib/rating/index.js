@@ -0,0 +1,21 @@
+/*
+ * Rating Engines
+ * RATING_ENGINE の設定に応じてレート計算の実装を切り替える。
+ * エンジンは { name, usesDeviation, initialState, rateMatch, decay, seasonReset } を実装する。
+ */
+
+const { createEloEngine } = require('./elo');
+const { createGlicko2Engine } = require('./glicko2');
+
+const RATING_ENGINES = {
+    elo: createEloEngine,
+    glicko2: createGlicko2Engine
+};
+
+function createRatingEngine(name = 'elo', options = {}) {
+    const factory = RATING_ENGINES[name];
+    if (!factory) throw new Error(`Unknown rating engine: ${name}`);
+    return factory(options);
+}
+
+module.exports = { RATING_ENGINES, createRatingEngine };
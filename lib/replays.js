@@ -0,0 +1,65 @@
+/*
+ * Match Replays
+ * 対戦中のクライアントが送るゲーム内イベントの記録と、ダウンロード用のリプレイ形式。
+ * イベント (match_events): { match_id, seq, game_number, turn, player_id, action, created_at }
+ *   seq は対戦ごとに 1 から始まる連番で、両プレイヤーと Bo3 / Bo5 の全ゲームを通して数える。
+ *   game_number は Bo3 / Bo5 の何ゲーム目か (1 から)、turn はゲームごとの手番。action の中身はクライアントが決める。
+ * リプレイ: { format: 'match-replay', version, matchId, matchType, rated, tournamentId,
+ *             players: [{ userId, username, deck }], result: { status, resolution, winnerUserId, resolvedAt },
+ *             series: { format, gamesToWin, score, games }, events: [{ seq, game, turn, playerId, action, at }] }
+ */
+
+const series = require('./series');
+
+const REPLAY_FORMAT = 'match-replay';
+const REPLAY_FORMAT_VERSION = 1;
+
+// 直前のイベントに続けて記録できるかを確認する。問題なければ null、あればメッセージと次に期待する seq を返す
+function checkEventSequence(lastEvent, { seq, game, turn }) {
+    const expectedSeq = (lastEvent?.seq ?? 0) + 1;
+    if (seq !== expectedSeq) return { message: `seq は ${expectedSeq} を指定してください。`, expectedSeq };
+    if (!lastEvent) return null;
+    const lastGame = lastEvent.game_number ?? 1;
+    if (game < lastGame) return { message: `game は ${lastGame} 以上にしてください。`, expectedSeq };
+    if (game === lastGame && turn < lastEvent.turn) return { message: `turn は ${lastEvent.turn} 以上にしてください。`, expectedSeq };
+    return null;
+}
+
+function formatEvent(row) {
+    return { seq: row.seq, game: row.game_number ?? 1, turn: row.turn, playerId: row.player_id, action: row.action, at: row.created_at };
+}
+
+// usernames: userId -> username の Map
+function buildReplay(match, events, usernames) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_FORMAT_VERSION,
+        matchId: match.match_id,
+        matchType: match.match_type || 'ranked',
+        rated: match.is_rated !== false,
+        tournamentId: match.tournament_id || null,
+        players: [
+            { userId: match.player1_id, username: usernames.get(match.player1_id) || null, deck: match.player1_deck || null },
+            { userId: match.player2_id, username: usernames.get(match.player2_id) || null, deck: match.player2_deck || null }
+        ],
+        result: {
+            status: match.status || (match.resolved_at ? 'resolved' : 'open'),
+            resolution: match.resolution || null,
+            winnerUserId: match.winner_id || null,
+            resolvedAt: match.resolved_at || null
+        },
+        series: {
+            format: series.getSeriesFormat(match),
+            gamesToWin: series.getGamesToWin(match),
+            score: { [match.player1_id]: match.player1_game_wins || 0, [match.player2_id]: match.player2_game_wins || 0 },
+            games: match.games || []
+        },
+        events: events.map(formatEvent)
+    };
+}
+
+function replayFileName(match) {
+    return `replay-${match.match_id}.json`;
+}
+
+module.exports = { REPLAY_FORMAT, REPLAY_FORMAT_VERSION, checkEventSequence, formatEvent, buildReplay, replayFileName };
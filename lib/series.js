@@ -0,0 +1,93 @@
+/*
+ * Match Series (Bo1 / Bo3 / Bo5)
+ * 1つの対戦 (matches の1行) の中でゲームごとの勝敗を数える。レートは対戦全体の勝敗で1回だけ変動させる。
+ * 状態の保存や通知は index.js 側で行い、ここでは対戦の行を受け取る純粋な関数のみを扱う。
+ *
+ * matches の列: series_format ('bo1' | 'bo3' | 'bo5'、未設定の旧データは bo1), current_game (1 から),
+ *   player1_game_wins, player2_game_wins, games: [{ gameNumber, winnerId, player1Deck, player2Deck, finishedAt }],
+ *   series_phase ('playing' | 'sideboarding'), sideboard_ready: [userId], sideboard_deadline
+ * ゲームの合間 (sideboarding) に、各プレイヤーは registered_decks から次のゲームのデッキを選び直せる。
+ */
+
+const SERIES_FORMATS = { bo1: 1, bo3: 2, bo5: 3 }; // 形式 -> 勝ち抜けに必要なゲーム数
+const DEFAULT_SERIES_FORMAT = 'bo1';
+
+function getSeriesFormat(match) {
+    return SERIES_FORMATS[match.series_format] ? match.series_format : DEFAULT_SERIES_FORMAT;
+}
+
+function getGamesToWin(match) {
+    return SERIES_FORMATS[getSeriesFormat(match)];
+}
+
+// 1ゲームで決着する対戦 (従来の対戦) は false
+function isSeries(match) {
+    return getGamesToWin(match) > 1;
+}
+
+// 新しい対戦の行に加える列
+function createSeriesFields(format) {
+    const seriesFormat = SERIES_FORMATS[format] ? format : DEFAULT_SERIES_FORMAT;
+    return {
+        series_format: seriesFormat,
+        current_game: 1,
+        player1_game_wins: 0,
+        player2_game_wins: 0,
+        games: [],
+        series_phase: SERIES_FORMATS[seriesFormat] > 1 ? 'playing' : null,
+        sideboard_ready: []
+    };
+}
+
+// 現在のゲームの勝者を記録した後の列と、対戦全体の勝者 (まだ決着していなければ null) を返す
+function recordGame(match, winnerId, finishedAt) {
+    const gameNumber = match.current_game || 1;
+    const player1Wins = (match.player1_game_wins || 0) + (winnerId === match.player1_id ? 1 : 0);
+    const player2Wins = (match.player2_game_wins || 0) + (winnerId === match.player2_id ? 1 : 0);
+    const gamesToWin = getGamesToWin(match);
+    let seriesWinnerId = null;
+    if (player1Wins >= gamesToWin) seriesWinnerId = match.player1_id;
+    else if (player2Wins >= gamesToWin) seriesWinnerId = match.player2_id;
+    return {
+        fields: {
+            games: [...(match.games || []), { gameNumber, winnerId, player1Deck: match.player1_deck || null, player2Deck: match.player2_deck || null, finishedAt }],
+            player1_game_wins: player1Wins,
+            player2_game_wins: player2Wins,
+            current_game: seriesWinnerId ? gameNumber : gameNumber + 1
+        },
+        seriesWinnerId
+    };
+}
+
+// registered_decks の各要素 (文字列、または name を持つオブジェクト) からデッキ名を取り出す
+function getRegisteredDeckNames(registeredDecks) {
+    if (!Array.isArray(registeredDecks)) return [];
+    return registeredDecks
+        .map(deck => (typeof deck === 'string' ? deck : deck?.name))
+        .filter(name => typeof name === 'string' && name.trim())
+        .map(name => name.trim());
+}
+
+function formatSeries(match) {
+    return {
+        format: getSeriesFormat(match),
+        gamesToWin: getGamesToWin(match),
+        currentGame: match.current_game || 1,
+        phase: match.series_phase || null,
+        score: { [match.player1_id]: match.player1_game_wins || 0, [match.player2_id]: match.player2_game_wins || 0 },
+        games: match.games || [],
+        sideboardDeadline: match.sideboard_deadline || null
+    };
+}
+
+module.exports = {
+    SERIES_FORMATS,
+    DEFAULT_SERIES_FORMAT,
+    getSeriesFormat,
+    getGamesToWin,
+    isSeries,
+    createSeriesFields,
+    recordGame,
+    getRegisteredDeckNames,
+    formatSeries
+};
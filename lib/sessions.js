@@ -0,0 +1,67 @@
+/*
+ * Session Tokens
+ * ログイン時に署名付き・有効期限付きのセッショントークンを発行し、サーバー側の sessions テーブルで管理する。
+ * - トークン形式: <sessionId>.<expiresAt>.<HMAC-SHA256 署名>
+ * - 失効 (revoked_at) したセッションは署名が正しくても受け付けない。
+ * - 保存先は { insert, find, revoke, revokeAllForUser } を持つストア (lib/storage の sessions) で、テスト時はインメモリのストアに差し替えられる。
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30日
+
+// --- Session Manager ---
+function createSessionManager({ store, secret, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+    if (!secret) throw new Error('Session secret is required.');
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    // 署名と有効期限だけを検証し、{ sessionId, expiresAt } を返す
+    function parseToken(token) {
+        if (typeof token !== 'string') return null;
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        const [sessionId, expiresAtStr, signature] = parts;
+        const expected = Buffer.from(sign(`${sessionId}.${expiresAtStr}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+        const expiresAt = Number(expiresAtStr);
+        if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) return null;
+        return { sessionId, expiresAt };
+    }
+
+    return {
+        async issue(userId) {
+            const now = Date.now();
+            const session = { sessionId: uuidv4(), userId, createdAt: now, expiresAt: now + ttlMs };
+            await store.insert(session);
+            const payload = `${session.sessionId}.${session.expiresAt}`;
+            return { token: `${payload}.${sign(payload)}`, sessionId: session.sessionId, expiresAt: session.expiresAt };
+        },
+
+        // 有効なセッションなら { sessionId, userId, expiresAt } を返す
+        async verify(token) {
+            const parsed = parseToken(token);
+            if (!parsed) return null;
+            const session = await store.find(parsed.sessionId);
+            if (!session || session.revokedAt || session.expiresAt <= Date.now()) return null;
+            return { sessionId: session.sessionId, userId: session.userId, expiresAt: session.expiresAt };
+        },
+
+        async revoke(sessionId) {
+            await store.revoke(sessionId);
+        },
+
+        async revokeAll(userId) {
+            await store.revokeAllForUser(userId);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_SESSION_TTL_MS,
+    createSessionManager
+};
@@ -0,0 +1,271 @@
+/*
+ * Shared State Stores
+ * 複数のサーバーインスタンスで共有する状態 (ログイン中のユーザーの接続先・マッチングキュー・観戦ルームなど)。
+ * - createMemoryStateStore: 単一プロセス用。同じストアを渡せば1プロセス内の複数インスタンスで共有できる。
+ * - createRedisStateStore: Redis 互換サーバー用 (node-redis v4 のクライアントを渡す)。
+ * WebSocket オブジェクト自体は共有できないため、接続は wsId (全インスタンスで一意) で表す。
+ *
+ * ストアの操作はすべて非同期:
+ *   setUserSocket / getUserSocket / removeUserSocket / countUserSockets
+ *   heartbeatInstance / removeDeadInstanceSockets
+ *   addQueueEntry / getQueueEntries / removeQueueEntries / getQueueSize
+ *   saveRoom / getRoom / deleteRoom / listRooms / addRoomSpectator / removeRoomSpectator
+ *   setValue / getValue / deleteValue / acquireLock / releaseLock
+ * acquireLock はロックごとのランダムなトークンを返し (取れなければ null)、releaseLock はそのトークンを持つ場合だけ解除する。
+ * 期限切れで他の処理に取られたロックを、元の持ち主が解除してしまわないようにするため。
+ * 接続ごとに接続を持つインスタンス (wsId -> instanceId) を記録し、各インスタンスは期限付きの生存キーを
+ * heartbeatInstance で更新し続ける。異常終了したインスタンスの接続は removeDeadInstanceSockets で取り除く。
+ */
+
+const crypto = require('crypto');
+
+function createMemoryStateStore() {
+    const userSockets = new Map(); // userId -> wsId
+    const socketInstances = new Map(); // wsId -> instanceId
+    const instances = new Map();   // instanceId -> expiresAt
+    const queue = new Map();       // userId -> entry
+    const rooms = new Map();       // roomId -> { room, spectatorIds: Set }
+    const values = new Map();      // key -> { value, expiresAt }
+    const locks = new Map();       // name -> { token, expiresAt }
+
+    const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    const roomWithSpectators = record => ({ ...clone(record.room), spectatorIds: Array.from(record.spectatorIds) });
+
+    return {
+        async setUserSocket(userId, wsId, instanceId) {
+            userSockets.set(userId, wsId);
+            if (instanceId) socketInstances.set(wsId, instanceId);
+        },
+        async getUserSocket(userId) {
+            return userSockets.get(userId) || null;
+        },
+        // 別の接続で再ログインしていた場合は消さない
+        async removeUserSocket(userId, wsId) {
+            socketInstances.delete(wsId);
+            if (userSockets.get(userId) !== wsId) return false;
+            userSockets.delete(userId);
+            return true;
+        },
+        async countUserSockets() {
+            return userSockets.size;
+        },
+        async heartbeatInstance(instanceId, ttlMs) {
+            instances.set(instanceId, Date.now() + ttlMs);
+        },
+        // 生存キーが切れたインスタンスの接続を取り除き、ログイン中から外したユーザーを返す ([{ userId, wsId }])
+        async removeDeadInstanceSockets() {
+            const now = Date.now();
+            const isDead = wsId => socketInstances.has(wsId) && !((instances.get(socketInstances.get(wsId)) || 0) > now);
+            const removed = [];
+            userSockets.forEach((wsId, userId) => {
+                if (isDead(wsId)) removed.push({ userId, wsId });
+            });
+            removed.forEach(({ userId }) => userSockets.delete(userId));
+            Array.from(socketInstances.keys()).filter(isDead).forEach(wsId => socketInstances.delete(wsId));
+            return removed;
+        },
+
+        async addQueueEntry(entry) {
+            if (queue.has(entry.userId)) return false;
+            queue.set(entry.userId, clone(entry));
+            return true;
+        },
+        async getQueueEntries() {
+            return Array.from(queue.values()).map(clone);
+        },
+        async removeQueueEntries(userIds) {
+            const removed = [];
+            userIds.forEach(userId => {
+                if (!queue.has(userId)) return;
+                removed.push(queue.get(userId));
+                queue.delete(userId);
+            });
+            return removed;
+        },
+        async getQueueSize() {
+            return queue.size;
+        },
+
+        async saveRoom(room) {
+            const existing = rooms.get(room.roomId);
+            rooms.set(room.roomId, { room: clone(room), spectatorIds: existing ? existing.spectatorIds : new Set() });
+        },
+        async getRoom(roomId) {
+            const record = rooms.get(roomId);
+            return record ? roomWithSpectators(record) : null;
+        },
+        async deleteRoom(roomId) {
+            return rooms.delete(roomId);
+        },
+        async listRooms() {
+            return Array.from(rooms.values()).map(roomWithSpectators);
+        },
+        async addRoomSpectator(roomId, wsId) {
+            const record = rooms.get(roomId);
+            if (!record) return false;
+            record.spectatorIds.add(wsId);
+            return true;
+        },
+        async removeRoomSpectator(roomId, wsId) {
+            return rooms.get(roomId)?.spectatorIds.delete(wsId) || false;
+        },
+
+        async setValue(key, value, ttlMs) {
+            values.set(key, { value: clone(value), expiresAt: ttlMs ? Date.now() + ttlMs : Infinity });
+        },
+        async getValue(key) {
+            const record = values.get(key);
+            if (!record) return null;
+            if (record.expiresAt <= Date.now()) {
+                values.delete(key);
+                return null;
+            }
+            return clone(record.value);
+        },
+        async deleteValue(key) {
+            const record = values.get(key);
+            values.delete(key);
+            return !!record && record.expiresAt > Date.now();
+        },
+        async acquireLock(name, ttlMs) {
+            const now = Date.now();
+            if ((locks.get(name)?.expiresAt || 0) > now) return null;
+            const token = crypto.randomUUID();
+            locks.set(name, { token, expiresAt: now + ttlMs });
+            return token;
+        },
+        async releaseLock(name, token) {
+            if (locks.get(name)?.token !== token) return false;
+            locks.delete(name);
+            return true;
+        }
+    };
+}
+
+// 指定した接続のものだけを消す (他の接続で再ログインした場合に備える)
+const COMPARE_AND_DELETE_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+    return redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return 0`;
+
+// ロックの値が自分のトークンのときだけ消す
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+function createRedisStateStore(client, { keyPrefix = 'tcg:' } = {}) {
+    const key = name => `${keyPrefix}${name}`;
+    const USER_SOCKETS = key('user_sockets');
+    const SOCKET_INSTANCES = key('socket_instances');
+    const instanceKey = instanceId => key(`instance:${instanceId}`);
+    const QUEUE = key('queue');
+    const ROOMS = key('rooms');
+    const spectatorsKey = roomId => key(`room_spectators:${roomId}`);
+    const parse = text => (text ? JSON.parse(text) : null);
+
+    async function withSpectators(room) {
+        return { ...room, spectatorIds: await client.sMembers(spectatorsKey(room.roomId)) };
+    }
+
+    return {
+        async setUserSocket(userId, wsId, instanceId) {
+            if (instanceId) await client.hSet(SOCKET_INSTANCES, wsId, instanceId);
+            await client.hSet(USER_SOCKETS, userId, wsId);
+        },
+        async getUserSocket(userId) {
+            return (await client.hGet(USER_SOCKETS, userId)) || null;
+        },
+        async removeUserSocket(userId, wsId) {
+            await client.hDel(SOCKET_INSTANCES, wsId);
+            return (await client.eval(COMPARE_AND_DELETE_SCRIPT, { keys: [USER_SOCKETS], arguments: [userId, wsId] })) === 1;
+        },
+        async countUserSockets() {
+            return client.hLen(USER_SOCKETS);
+        },
+        async heartbeatInstance(instanceId, ttlMs) {
+            await client.set(instanceKey(instanceId), '1', { PX: ttlMs });
+        },
+        // 削除は COMPARE_AND_DELETE_SCRIPT で行うため、確認後に生きているインスタンスで再ログインした接続は消さない
+        async removeDeadInstanceSockets() {
+            const owners = await client.hGetAll(SOCKET_INSTANCES); // wsId -> instanceId
+            const deadInstances = new Set();
+            for (const instanceId of new Set(Object.values(owners))) {
+                if (!(await client.exists(instanceKey(instanceId)))) deadInstances.add(instanceId);
+            }
+            if (deadInstances.size === 0) return [];
+            const removed = [];
+            for (const [userId, wsId] of Object.entries(await client.hGetAll(USER_SOCKETS))) {
+                if (!deadInstances.has(owners[wsId])) continue;
+                if ((await client.eval(COMPARE_AND_DELETE_SCRIPT, { keys: [USER_SOCKETS], arguments: [userId, wsId] })) === 1) removed.push({ userId, wsId });
+            }
+            const deadSocketIds = Object.keys(owners).filter(wsId => deadInstances.has(owners[wsId]));
+            if (deadSocketIds.length > 0) await client.hDel(SOCKET_INSTANCES, deadSocketIds);
+            return removed;
+        },
+
+        async addQueueEntry(entry) {
+            return !!(await client.hSetNX(QUEUE, entry.userId, JSON.stringify(entry)));
+        },
+        async getQueueEntries() {
+            return Object.values(await client.hGetAll(QUEUE)).map(parse);
+        },
+        // HDEL に成功したインスタンスだけがエントリを受け取るので、同じプレイヤーが二重に取り出されることはない
+        async removeQueueEntries(userIds) {
+            const removed = [];
+            for (const userId of userIds) {
+                const entry = parse(await client.hGet(QUEUE, userId));
+                if (entry && (await client.hDel(QUEUE, userId)) === 1) removed.push(entry);
+            }
+            return removed;
+        },
+        async getQueueSize() {
+            return client.hLen(QUEUE);
+        },
+
+        async saveRoom(room) {
+            await client.hSet(ROOMS, room.roomId, JSON.stringify(room));
+        },
+        async getRoom(roomId) {
+            const room = parse(await client.hGet(ROOMS, roomId));
+            return room ? withSpectators(room) : null;
+        },
+        async deleteRoom(roomId) {
+            await client.del(spectatorsKey(roomId));
+            return (await client.hDel(ROOMS, roomId)) === 1;
+        },
+        async listRooms() {
+            const rooms = Object.values(await client.hGetAll(ROOMS)).map(parse);
+            return Promise.all(rooms.map(withSpectators));
+        },
+        async addRoomSpectator(roomId, wsId) {
+            if (!(await client.hExists(ROOMS, roomId))) return false;
+            await client.sAdd(spectatorsKey(roomId), wsId);
+            return true;
+        },
+        async removeRoomSpectator(roomId, wsId) {
+            return (await client.sRem(spectatorsKey(roomId), wsId)) === 1;
+        },
+
+        async setValue(name, value, ttlMs) {
+            await client.set(key(`value:${name}`), JSON.stringify(value), ttlMs ? { PX: ttlMs } : undefined);
+        },
+        async getValue(name) {
+            return parse(await client.get(key(`value:${name}`)));
+        },
+        async deleteValue(name) {
+            return (await client.del(key(`value:${name}`))) === 1;
+        },
+        async acquireLock(name, ttlMs) {
+            const token = crypto.randomUUID();
+            return (await client.set(key(`lock:${name}`), token, { NX: true, PX: ttlMs })) === 'OK' ? token : null;
+        },
+        async releaseLock(name, token) {
+            return (await client.eval(RELEASE_LOCK_SCRIPT, { keys: [key(`lock:${name}`)], arguments: [token] })) === 1;
+        }
+    };
+}
+
+module.exports = { createMemoryStateStore, createRedisStateStore };
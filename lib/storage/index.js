@@ -0,0 +1,12 @@
+/*
+ * Storage
+ * users / matches / sessions などの永続化をテーブルごとのリポジトリにまとめる。
+ * - createSupabaseStorage(supabase): Supabase (本番用)
+ * - createMemoryStorage(): インメモリ (Supabase なしで動かす・テストする場合)
+ * ストレージは { name, users, matches, matchEvents, sessions, friendships, tournaments, seasons, leaderboards, auditLog } を持つ。
+ */
+
+const { createSupabaseStorage } = require('./supabase');
+const { createMemoryStorage } = require('./memory');
+
+module.exports = { createSupabaseStorage, createMemoryStorage };
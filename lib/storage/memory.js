@@ -0,0 +1,285 @@
+/*
+ * In-memory Storage
+ * Supabase なしでサーバーを動かす・テストするためのリポジトリ。lib/storage/supabase.js と同じ操作を実装する。
+ * 内容はプロセスの終了とともに失われる。
+ */
+
+const clone = value => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const page = (rows, offset, limit) => rows.slice(offset, offset + limit).map(clone);
+
+// 一意キーを持つテーブル
+function createTable(keyField) {
+    const rows = new Map();
+    return {
+        get: key => clone(rows.get(key)),
+        has: key => rows.has(key),
+        set: row => rows.set(row[keyField], clone(row)),
+        update(key, fields) {
+            const row = rows.get(key);
+            if (row) rows.set(key, { ...row, ...clone(fields) });
+            return !!row;
+        },
+        delete: key => rows.delete(key),
+        values: () => Array.from(rows.values())
+    };
+}
+
+function createMemoryUserRepository() {
+    const users = createTable('user_id');
+    const rankedUsers = maxDeviation => users.values()
+        .filter(user => maxDeviation === null || maxDeviation === undefined || (user.rating_deviation ?? Infinity) <= maxDeviation)
+        .sort((a, b) => b.rate - a.rate || a.user_id.localeCompare(b.user_id));
+
+    return {
+        async findById(userId) {
+            return users.get(userId);
+        },
+        async findByUsername(username) {
+            return clone(users.values().find(user => user.username === username));
+        },
+        async findManyByIds(userIds) {
+            return userIds.filter(userId => users.has(userId)).map(userId => users.get(userId));
+        },
+        async create(user) {
+            if (users.has(user.user_id) || users.values().some(existing => existing.username === user.username)) {
+                throw new Error('duplicate key value violates unique constraint');
+            }
+            users.set(user);
+        },
+        async update(userId, fields) {
+            users.update(userId, fields);
+        },
+        async listByRate({ offset = 0, limit = 100, maxDeviation = null } = {}) {
+            return page(rankedUsers(maxDeviation), offset, limit);
+        },
+        async countByRate({ maxDeviation = null } = {}) {
+            return rankedUsers(maxDeviation).length;
+        }
+    };
+}
+
+function createMemoryMatchRepository() {
+    const matches = createTable('match_id');
+    const involves = (match, userId) => match.player1_id === userId || match.player2_id === userId;
+
+    return {
+        async create(match) {
+            matches.set(match);
+        },
+        async findById(matchId) {
+            return matches.get(matchId);
+        },
+        async update(matchId, fields) {
+            matches.update(matchId, fields);
+        },
+        async compareAndUpdate(matchId, expected, fields) {
+            const match = matches.get(matchId);
+            if (!match || Object.entries(expected).some(([column, value]) => (match[column] ?? null) !== value)) return false;
+            return matches.update(matchId, fields);
+        },
+        async findOverdue(now) {
+            return matches.values()
+                .filter(match => !match.resolved_at && match.report_deadline && Date.parse(match.report_deadline) < now)
+                .map(clone);
+        },
+        async findSideboardExpired(now) {
+            return matches.values()
+                .filter(match => !match.resolved_at && match.series_phase === 'sideboarding' && match.sideboard_deadline && Date.parse(match.sideboard_deadline) <= now)
+                .map(clone);
+        },
+        async findDisputed() {
+            return matches.values().filter(match => match.status === 'disputed' && !match.resolved_at).map(clone);
+        },
+        async listResolvedForUser(userId, limit) {
+            const resolved = matches.values()
+                .filter(match => involves(match, userId) && match.resolved_at)
+                .sort((a, b) => b.resolved_at.localeCompare(a.resolved_at));
+            return page(resolved, 0, limit);
+        },
+        async countDecidedForUser(userId) {
+            return matches.values().filter(match => involves(match, userId) && match.winner_id).length;
+        },
+        async countWinsForUser(userId) {
+            return matches.values().filter(match => match.winner_id === userId).length;
+        }
+    };
+}
+
+function createMemoryMatchEventRepository() {
+    const eventsByMatch = new Map(); // matchId -> seq 順のイベント
+    return {
+        async append(event) {
+            const events = eventsByMatch.get(event.match_id) || [];
+            if (events.some(existing => existing.seq === event.seq)) return false;
+            events.push(clone(event));
+            events.sort((a, b) => a.seq - b.seq);
+            eventsByMatch.set(event.match_id, events);
+            return true;
+        },
+        async findLast(matchId) {
+            const events = eventsByMatch.get(matchId) || [];
+            return clone(events[events.length - 1]);
+        },
+        async listForMatch(matchId) {
+            return (eventsByMatch.get(matchId) || []).map(clone);
+        }
+    };
+}
+
+function createMemorySessionStore() {
+    const sessions = new Map(); // sessionId -> session
+    return {
+        async insert(session) {
+            sessions.set(session.sessionId, { ...session, revokedAt: null });
+        },
+        async find(sessionId) {
+            const session = sessions.get(sessionId);
+            return session ? { ...session } : null;
+        },
+        async revoke(sessionId) {
+            const session = sessions.get(sessionId);
+            if (session && !session.revokedAt) session.revokedAt = Date.now();
+        },
+        async revokeAllForUser(userId) {
+            sessions.forEach(session => {
+                if (session.userId === userId && !session.revokedAt) session.revokedAt = Date.now();
+            });
+        }
+    };
+}
+
+function createMemoryFriendshipRepository() {
+    const friendships = createTable('key');
+    const keyOf = (requesterId, addresseeId) => `${requesterId}:${addresseeId}`;
+    const strip = row => {
+        if (!row) return null;
+        const { key, ...friendship } = row;
+        return friendship;
+    };
+
+    return {
+        async listForUser(userId) {
+            return friendships.values()
+                .filter(f => f.requester_id === userId || f.addressee_id === userId)
+                .map(row => strip(clone(row)));
+        },
+        async findBetween(userIdA, userIdB) {
+            return strip(friendships.get(keyOf(userIdA, userIdB)) || friendships.get(keyOf(userIdB, userIdA)));
+        },
+        async create(friendship) {
+            friendships.set({ ...friendship, key: keyOf(friendship.requester_id, friendship.addressee_id) });
+        },
+        async accept(requesterId, addresseeId, acceptedAt) {
+            const key = keyOf(requesterId, addresseeId);
+            if (friendships.get(key)?.status !== 'pending') return false;
+            return friendships.update(key, { status: 'accepted', accepted_at: acceptedAt });
+        },
+        async remove(requesterId, addresseeId, { pendingOnly = false } = {}) {
+            const key = keyOf(requesterId, addresseeId);
+            if (pendingOnly && friendships.get(key)?.status !== 'pending') return;
+            friendships.delete(key);
+        }
+    };
+}
+
+function createMemoryTournamentRepository() {
+    const tournaments = createTable('tournament_id');
+    return {
+        async save(tournament) {
+            tournaments.set(tournament);
+        },
+        async findById(tournamentId) {
+            return tournaments.get(tournamentId);
+        },
+        async listActive() {
+            return tournaments.values().filter(tournament => tournament.status !== 'finished').map(clone);
+        }
+    };
+}
+
+function createMemorySeasonRepository() {
+    const seasons = createTable('season_id');
+    return {
+        async findActive() {
+            const active = seasons.values().filter(season => season.status === 'active').sort((a, b) => b.starts_at.localeCompare(a.starts_at));
+            return clone(active[0]);
+        },
+        async findById(seasonId) {
+            return seasons.get(seasonId);
+        },
+        async findManyByIds(seasonIds) {
+            return seasonIds.filter(seasonId => seasons.has(seasonId)).map(seasonId => seasons.get(seasonId));
+        },
+        async findNextScheduled() {
+            const scheduled = seasons.values()
+                .filter(season => season.status === 'scheduled')
+                .sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+            return clone(scheduled[0]);
+        },
+        async list() {
+            return seasons.values().sort((a, b) => b.starts_at.localeCompare(a.starts_at)).map(clone);
+        },
+        async count() {
+            return seasons.values().length;
+        },
+        async create(season) {
+            seasons.set(season);
+        },
+        async update(seasonId, fields) {
+            seasons.update(seasonId, fields);
+        }
+    };
+}
+
+function createMemoryLeaderboardRepository() {
+    const entries = [];
+    return {
+        async insertMany(rows) {
+            entries.push(...rows.map(clone));
+        },
+        async deleteForSeason(seasonId) {
+            for (let i = entries.length - 1; i >= 0; i -= 1) {
+                if (entries[i].season_id === seasonId) entries.splice(i, 1);
+            }
+        },
+        async listForSeason(seasonId, { offset = 0, limit = 100 } = {}) {
+            const rows = entries.filter(entry => entry.season_id === seasonId).sort((a, b) => a.rank - b.rank);
+            return { rows: page(rows, offset, limit), total: rows.length };
+        },
+        async listForUser(userId) {
+            return entries.filter(entry => entry.user_id === userId).map(clone);
+        }
+    };
+}
+
+function createMemoryAuditLogRepository() {
+    const entries = [];
+    return {
+        async insert(entry) {
+            entries.push(clone(entry));
+        },
+        async list({ offset = 0, limit = 50, action = null, targetUserId = null } = {}) {
+            const rows = entries
+                .filter(entry => (!action || entry.action === action) && (!targetUserId || entry.target_user_id === targetUserId))
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+            return page(rows, offset, limit);
+        }
+    };
+}
+
+function createMemoryStorage() {
+    return {
+        name: 'memory',
+        users: createMemoryUserRepository(),
+        matches: createMemoryMatchRepository(),
+        matchEvents: createMemoryMatchEventRepository(),
+        sessions: createMemorySessionStore(),
+        friendships: createMemoryFriendshipRepository(),
+        tournaments: createMemoryTournamentRepository(),
+        seasons: createMemorySeasonRepository(),
+        leaderboards: createMemoryLeaderboardRepository(),
+        auditLog: createMemoryAuditLogRepository()
+    };
+}
+
+module.exports = { createMemoryStorage };
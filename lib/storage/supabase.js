@@ -0,0 +1,282 @@
+/*
+ * Supabase Storage
+ * 各テーブルへのアクセスを Supabase のクエリでまとめたリポジトリ。
+ * 行はテーブルの列名 (snake_case) のまま受け渡しし、エラーは例外として投げる。
+ * テーブル・列・制約の定義は supabase/migrations にある。
+ */
+
+const NO_ROWS = 'PGRST116'; // single() で行が見つからない
+const UNIQUE_VIOLATION = '23505';
+
+function unwrap({ data, error }) {
+    if (error && error.code !== NO_ROWS) throw error;
+    return data ?? null;
+}
+
+function createSupabaseUserRepository(supabase) {
+    const rankedUsers = (columns, options, maxDeviation) => {
+        let query = supabase.from('users').select(columns, options);
+        if (maxDeviation !== null && maxDeviation !== undefined) query = query.lte('rating_deviation', maxDeviation);
+        return query;
+    };
+
+    return {
+        async findById(userId) {
+            return unwrap(await supabase.from('users').select('*').eq('user_id', userId).maybeSingle());
+        },
+        async findByUsername(username) {
+            return unwrap(await supabase.from('users').select('*').eq('username', username).maybeSingle());
+        },
+        async findManyByIds(userIds) {
+            if (userIds.length === 0) return [];
+            return unwrap(await supabase.from('users').select('*').in('user_id', userIds)) || [];
+        },
+        async create(user) {
+            unwrap(await supabase.from('users').insert([user]));
+        },
+        async update(userId, fields) {
+            unwrap(await supabase.from('users').update(fields).eq('user_id', userId));
+        },
+        // レートの高い順。maxDeviation を指定すると偏差がそれ以下のユーザーのみ
+        async listByRate({ offset = 0, limit = 100, maxDeviation = null } = {}) {
+            return unwrap(await rankedUsers('*', undefined, maxDeviation)
+                .order('rate', { ascending: false }).order('user_id', { ascending: true })
+                .range(offset, offset + limit - 1)) || [];
+        },
+        async countByRate({ maxDeviation = null } = {}) {
+            const { count, error } = await rankedUsers('user_id', { count: 'exact', head: true }, maxDeviation);
+            if (error) throw error;
+            return count ?? 0;
+        }
+    };
+}
+
+function createSupabaseMatchRepository(supabase) {
+    const involves = userId => `player1_id.eq.${userId},player2_id.eq.${userId}`;
+    const count = async query => {
+        const { count: total, error } = await query;
+        if (error) throw error;
+        return total ?? 0;
+    };
+
+    return {
+        async create(match) {
+            unwrap(await supabase.from('matches').insert([match]));
+        },
+        async findById(matchId) {
+            return unwrap(await supabase.from('matches').select('*').eq('match_id', matchId).maybeSingle());
+        },
+        async update(matchId, fields) {
+            unwrap(await supabase.from('matches').update(fields).eq('match_id', matchId));
+        },
+        // expected の各列が一致する (null は IS NULL) 場合だけ更新する。1回の UPDATE で判定するため、同時に呼ばれても更新できるのは1つだけ
+        async compareAndUpdate(matchId, expected, fields) {
+            let query = supabase.from('matches').update(fields).eq('match_id', matchId);
+            for (const [column, value] of Object.entries(expected)) {
+                query = value === null ? query.is(column, null) : query.eq(column, value);
+            }
+            const rows = unwrap(await query.select('match_id'));
+            return !!rows && rows.length > 0;
+        },
+        async findOverdue(now) {
+            return unwrap(await supabase.from('matches').select('*').is('resolved_at', null).lt('report_deadline', new Date(now).toISOString())) || [];
+        },
+        // デッキの選び直しの期限 (sideboard_deadline) を過ぎた Bo3 / Bo5 の対戦
+        async findSideboardExpired(now) {
+            return unwrap(await supabase.from('matches').select('*').is('resolved_at', null).eq('series_phase', 'sideboarding')
+                .lte('sideboard_deadline', new Date(now).toISOString())) || [];
+        },
+        async findDisputed() {
+            return unwrap(await supabase.from('matches').select('*').eq('status', 'disputed').is('resolved_at', null)) || [];
+        },
+        async listResolvedForUser(userId, limit) {
+            return unwrap(await supabase.from('matches').select('*').or(involves(userId)).not('resolved_at', 'is', null)
+                .order('resolved_at', { ascending: false }).limit(limit)) || [];
+        },
+        // 勝敗のついた (無効試合でない) 対戦数
+        countDecidedForUser(userId) {
+            return count(supabase.from('matches').select('match_id', { count: 'exact', head: true }).or(involves(userId)).not('winner_id', 'is', null));
+        },
+        countWinsForUser(userId) {
+            return count(supabase.from('matches').select('match_id', { count: 'exact', head: true }).eq('winner_id', userId));
+        }
+    };
+}
+
+function createSupabaseMatchEventRepository(supabase) {
+    return {
+        // (match_id, seq) の一意制約で、同じ seq を同時に書き込んだ場合は片方だけが成功する。重複した場合は false
+        async append(event) {
+            const { error } = await supabase.from('match_events').insert([event]);
+            if (error?.code === UNIQUE_VIOLATION) return false;
+            if (error) throw error;
+            return true;
+        },
+        async findLast(matchId) {
+            return unwrap(await supabase.from('match_events').select('*').eq('match_id', matchId)
+                .order('seq', { ascending: false }).limit(1).maybeSingle());
+        },
+        async listForMatch(matchId) {
+            return unwrap(await supabase.from('match_events').select('*').eq('match_id', matchId).order('seq', { ascending: true })) || [];
+        }
+    };
+}
+
+// セッションは lib/sessions.js のマネージャーが使う形 ({ sessionId, userId, createdAt, expiresAt, revokedAt }、日時は ms) で受け渡す
+function createSupabaseSessionStore(supabase) {
+    return {
+        async insert(session) {
+            unwrap(await supabase.from('sessions').insert([{
+                session_id: session.sessionId,
+                user_id: session.userId,
+                created_at: new Date(session.createdAt).toISOString(),
+                expires_at: new Date(session.expiresAt).toISOString(),
+                revoked_at: null
+            }]));
+        },
+        async find(sessionId) {
+            const data = unwrap(await supabase.from('sessions').select('*').eq('session_id', sessionId).maybeSingle());
+            if (!data) return null;
+            return {
+                sessionId: data.session_id,
+                userId: data.user_id,
+                createdAt: Date.parse(data.created_at),
+                expiresAt: Date.parse(data.expires_at),
+                revokedAt: data.revoked_at ? Date.parse(data.revoked_at) : null
+            };
+        },
+        async revoke(sessionId) {
+            unwrap(await supabase.from('sessions').update({ revoked_at: new Date().toISOString() }).eq('session_id', sessionId).is('revoked_at', null));
+        },
+        async revokeAllForUser(userId) {
+            unwrap(await supabase.from('sessions').update({ revoked_at: new Date().toISOString() }).eq('user_id', userId).is('revoked_at', null));
+        }
+    };
+}
+
+function createSupabaseFriendshipRepository(supabase) {
+    return {
+        async listForUser(userId) {
+            return unwrap(await supabase.from('friendships').select('*').or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)) || [];
+        },
+        async findBetween(userIdA, userIdB) {
+            return unwrap(await supabase.from('friendships').select('*')
+                .or(`and(requester_id.eq.${userIdA},addressee_id.eq.${userIdB}),and(requester_id.eq.${userIdB},addressee_id.eq.${userIdA})`)
+                .maybeSingle());
+        },
+        async create(friendship) {
+            unwrap(await supabase.from('friendships').insert([friendship]));
+        },
+        // 保留中の申請を承認する。承認できた場合は true
+        async accept(requesterId, addresseeId, acceptedAt) {
+            const rows = unwrap(await supabase.from('friendships').update({ status: 'accepted', accepted_at: acceptedAt })
+                .eq('requester_id', requesterId).eq('addressee_id', addresseeId).eq('status', 'pending').select());
+            return !!rows && rows.length > 0;
+        },
+        async remove(requesterId, addresseeId, { pendingOnly = false } = {}) {
+            let query = supabase.from('friendships').delete().eq('requester_id', requesterId).eq('addressee_id', addresseeId);
+            if (pendingOnly) query = query.eq('status', 'pending');
+            unwrap(await query);
+        }
+    };
+}
+
+function createSupabaseTournamentRepository(supabase) {
+    return {
+        async save(tournament) {
+            unwrap(await supabase.from('tournaments').upsert(tournament, { onConflict: 'tournament_id' }));
+        },
+        async findById(tournamentId) {
+            return unwrap(await supabase.from('tournaments').select('*').eq('tournament_id', tournamentId).maybeSingle());
+        },
+        async listActive() {
+            return unwrap(await supabase.from('tournaments').select('*').neq('status', 'finished')) || [];
+        }
+    };
+}
+
+function createSupabaseSeasonRepository(supabase) {
+    return {
+        async findActive() {
+            return unwrap(await supabase.from('seasons').select('*').eq('status', 'active')
+                .order('starts_at', { ascending: false }).limit(1).maybeSingle());
+        },
+        async findById(seasonId) {
+            return unwrap(await supabase.from('seasons').select('*').eq('season_id', seasonId).maybeSingle());
+        },
+        async findManyByIds(seasonIds) {
+            if (seasonIds.length === 0) return [];
+            return unwrap(await supabase.from('seasons').select('*').in('season_id', seasonIds)) || [];
+        },
+        // 予約済みシーズンのうち開始日時が最も早いもの (まだ開始日時前でも返す)
+        async findNextScheduled() {
+            return unwrap(await supabase.from('seasons').select('*').eq('status', 'scheduled')
+                .order('starts_at', { ascending: true }).limit(1).maybeSingle());
+        },
+        async list() {
+            return unwrap(await supabase.from('seasons').select('*').order('starts_at', { ascending: false })) || [];
+        },
+        async count() {
+            const { count, error } = await supabase.from('seasons').select('season_id', { count: 'exact', head: true });
+            if (error) throw error;
+            return count ?? 0;
+        },
+        async create(season) {
+            unwrap(await supabase.from('seasons').insert([season]));
+        },
+        async update(seasonId, fields) {
+            unwrap(await supabase.from('seasons').update(fields).eq('season_id', seasonId));
+        }
+    };
+}
+
+function createSupabaseLeaderboardRepository(supabase) {
+    return {
+        async insertMany(entries) {
+            unwrap(await supabase.from('season_leaderboards').insert(entries));
+        },
+        async deleteForSeason(seasonId) {
+            unwrap(await supabase.from('season_leaderboards').delete().eq('season_id', seasonId));
+        },
+        async listForSeason(seasonId, { offset = 0, limit = 100 } = {}) {
+            const { data, error, count } = await supabase.from('season_leaderboards').select('*', { count: 'exact' })
+                .eq('season_id', seasonId).order('rank', { ascending: true }).range(offset, offset + limit - 1);
+            if (error) throw error;
+            return { rows: data || [], total: count ?? 0 };
+        },
+        async listForUser(userId) {
+            return unwrap(await supabase.from('season_leaderboards').select('*').eq('user_id', userId)) || [];
+        }
+    };
+}
+
+function createSupabaseAuditLogRepository(supabase) {
+    return {
+        async insert(entry) {
+            unwrap(await supabase.from('audit_log').insert([entry]));
+        },
+        async list({ offset = 0, limit = 50, action = null, targetUserId = null } = {}) {
+            let query = supabase.from('audit_log').select('*').order('created_at', { ascending: false }).range(offset, offset + limit - 1);
+            if (action) query = query.eq('action', action);
+            if (targetUserId) query = query.eq('target_user_id', targetUserId);
+            return unwrap(await query) || [];
+        }
+    };
+}
+
+function createSupabaseStorage(supabase) {
+    return {
+        name: 'supabase',
+        users: createSupabaseUserRepository(supabase),
+        matches: createSupabaseMatchRepository(supabase),
+        matchEvents: createSupabaseMatchEventRepository(supabase),
+        sessions: createSupabaseSessionStore(supabase),
+        friendships: createSupabaseFriendshipRepository(supabase),
+        tournaments: createSupabaseTournamentRepository(supabase),
+        seasons: createSupabaseSeasonRepository(supabase),
+        leaderboards: createSupabaseLeaderboardRepository(supabase),
+        auditLog: createSupabaseAuditLogRepository(supabase)
+    };
+}
+
+module.exports = { createSupabaseStorage };
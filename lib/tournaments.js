@@ -0,0 +1,235 @@
+/*
+ * Tournament Pairing & Standings
+ * スイスドロー / シングルエリミネーションの組み合わせと順位計算。
+ * 状態の保存や通知は index.js 側で行い、ここでは大会オブジェクトを受け取る純粋な関数のみを扱う。
+ *
+ * tournament: {
+ *   format: 'swiss' | 'single_elimination',
+ *   totalRounds,
+ *   players: [{ userId, username, seed, dropped }],
+ *   rounds: [{ round, pairings: [{ matchId, player1Id, player2Id, winnerId, status }] }]
+ * }
+ * player2Id が null のペアリングは不戦勝 (bye)。status は 'playing' | 'done'。
+ */
+
+const MATCH_WIN_POINTS = 3;
+const MATCH_DRAW_POINTS = 1;
+const MIN_MATCH_WIN_PERCENTAGE = 0.33; // 対戦相手勝率 (OMW%) の下限
+const MAX_PAIRING_STEPS = 5000; // スイスドローの組み合わせ探索で試す組の数の上限
+
+function getDefaultSwissRounds(playerCount) {
+    return Math.max(1, Math.ceil(Math.log2(Math.max(2, playerCount))));
+}
+
+function collectRecords(tournament) {
+    const records = new Map();
+    tournament.players.forEach(player => {
+        records.set(player.userId, { points: 0, wins: 0, losses: 0, draws: 0, byes: 0, played: 0, opponents: [] });
+    });
+    tournament.rounds.forEach(round => {
+        round.pairings.forEach(pairing => {
+            if (pairing.status !== 'done') return;
+            const record1 = records.get(pairing.player1Id);
+            if (!pairing.player2Id) {
+                record1.byes++;
+                record1.wins++;
+                record1.played++;
+                record1.points += MATCH_WIN_POINTS;
+                return;
+            }
+            const record2 = records.get(pairing.player2Id);
+            record1.played++;
+            record2.played++;
+            record1.opponents.push(pairing.player2Id);
+            record2.opponents.push(pairing.player1Id);
+            if (!pairing.winnerId) {
+                record1.draws++;
+                record2.draws++;
+                record1.points += MATCH_DRAW_POINTS;
+                record2.points += MATCH_DRAW_POINTS;
+            } else {
+                const winner = pairing.winnerId === pairing.player1Id ? record1 : record2;
+                const loser = winner === record1 ? record2 : record1;
+                winner.wins++;
+                winner.points += MATCH_WIN_POINTS;
+                loser.losses++;
+            }
+        });
+    });
+    return records;
+}
+
+function matchWinPercentage(record) {
+    if (record.played === 0) return MIN_MATCH_WIN_PERCENTAGE;
+    return Math.max(MIN_MATCH_WIN_PERCENTAGE, record.points / (MATCH_WIN_POINTS * record.played));
+}
+
+function average(values) {
+    return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// 勝ち点 → 対戦相手勝率 (OMW%) → 対戦相手の対戦相手勝率 (OOMW%) → シード順で並べる
+function computeStandings(tournament) {
+    const records = collectRecords(tournament);
+    const omw = new Map();
+    records.forEach((record, userId) => {
+        omw.set(userId, average(record.opponents.map(opponentId => matchWinPercentage(records.get(opponentId)))));
+    });
+    const standings = tournament.players.map(player => {
+        const record = records.get(player.userId);
+        return {
+            userId: player.userId,
+            username: player.username,
+            seed: player.seed,
+            dropped: !!player.dropped,
+            points: record.points,
+            wins: record.wins,
+            losses: record.losses,
+            draws: record.draws,
+            byes: record.byes,
+            opponents: record.opponents,
+            opponentMatchWinPercentage: omw.get(player.userId),
+            opponentOpponentMatchWinPercentage: average(record.opponents.map(opponentId => omw.get(opponentId)))
+        };
+    });
+    standings.sort((a, b) =>
+        b.points - a.points ||
+        b.opponentMatchWinPercentage - a.opponentMatchWinPercentage ||
+        b.opponentOpponentMatchWinPercentage - a.opponentOpponentMatchWinPercentage ||
+        (a.seed ?? Infinity) - (b.seed ?? Infinity));
+    return standings.map((standing, index) => ({ rank: index + 1, ...standing }));
+}
+
+// 上位から順に、再戦にならない相手を探して組む (見つからなければ後戻りする)
+const countRematches = (pairs, hasPlayed) => pairs.filter(([a, b]) => hasPlayed(a, b)).length;
+
+// 再戦を避ける相手の少ないプレイヤーから順に、組める中で最も順位の近い相手と組む (再戦を減らすための近似)
+function pairMostConstrainedFirst(playerIds, hasPlayed) {
+    const remaining = [...playerIds];
+    const pairs = [];
+    const freeOpponents = id => remaining.filter(other => other !== id && !hasPlayed(id, other));
+    while (remaining.length >= 2) {
+        const counts = remaining.map(id => freeOpponents(id).length);
+        const first = remaining[counts.indexOf(Math.min(...counts))];
+        const options = freeOpponents(first);
+        const others = remaining.filter(id => id !== first);
+        const position = playerIds.indexOf(first);
+        const nearest = ids => ids.reduce((a, b) => (Math.abs(playerIds.indexOf(b) - position) < Math.abs(playerIds.indexOf(a) - position) ? b : a));
+        const opponent = nearest(options.length > 0 ? options : others);
+        pairs.push(playerIds.indexOf(first) < playerIds.indexOf(opponent) ? [first, opponent] : [opponent, first]);
+        remaining.splice(remaining.indexOf(first), 1);
+        remaining.splice(remaining.indexOf(opponent), 1);
+    }
+    return pairs;
+}
+
+// 上から順に、再戦にならない相手を優先して組む。全通りの探索は人数に対して指数的に増えるため maxSteps 組で打ち切り、
+// 再戦なしの組み合わせが見つからなければ、見つかった中と pairMostConstrainedFirst のうち再戦の少ない方を返す
+function pairWithFewestRematches(playerIds, hasPlayed, maxSteps = MAX_PAIRING_STEPS) {
+    let best = null;
+    let bestRematches = Infinity;
+    let steps = 0;
+    const pairs = [];
+    // 残り全員と対戦済みのプレイヤーは必ず再戦になり、1組で2人まで解消できる
+    const minRematches = remaining => Math.ceil(remaining.filter(a => remaining.every(b => a === b || hasPlayed(a, b))).length / 2);
+
+    function search(remaining, rematches) {
+        if (remaining.length === 0) {
+            best = [...pairs];
+            bestRematches = rematches;
+            return;
+        }
+        if (rematches + minRematches(remaining) >= bestRematches) return;
+        const [first, ...rest] = remaining;
+        const candidates = rest.map((_, i) => i).sort((a, b) => hasPlayed(first, rest[a]) - hasPlayed(first, rest[b]));
+        for (const i of candidates) {
+            if (bestRematches === 0 || (best && steps >= maxSteps)) return;
+            steps += 1;
+            pairs.push([first, rest[i]]);
+            search(rest.filter((_, j) => j !== i), rematches + (hasPlayed(first, rest[i]) ? 1 : 0));
+            pairs.pop();
+        }
+    }
+    search(playerIds, 0);
+    if (bestRematches === 0) return best;
+    const constrained = pairMostConstrainedFirst(playerIds, hasPlayed);
+    return countRematches(constrained, hasPlayed) < bestRematches ? constrained : best;
+}
+
+function pairSwissRound(tournament) {
+    const standings = computeStandings(tournament).filter(standing => !standing.dropped);
+    const opponentsById = new Map(standings.map(standing => [standing.userId, new Set(standing.opponents)]));
+    const playerIds = standings.map(standing => standing.userId);
+
+    // 奇数人数なら、まだ不戦勝を受けていない最下位のプレイヤーを不戦勝にする
+    let byePlayerId = null;
+    if (playerIds.length % 2 === 1) {
+        const candidates = standings.filter(standing => standing.byes === 0);
+        byePlayerId = (candidates.length > 0 ? candidates[candidates.length - 1] : standings[standings.length - 1]).userId;
+        playerIds.splice(playerIds.indexOf(byePlayerId), 1);
+    }
+
+    const pairs = pairWithFewestRematches(playerIds, (a, b) => opponentsById.get(a).has(b));
+    const pairings = pairs.map(([player1Id, player2Id]) => createPairing(player1Id, player2Id));
+    if (byePlayerId) pairings.push(createPairing(byePlayerId, null));
+    return pairings;
+}
+
+// シード 1 と 2 が決勝まで当たらないように並べた枠順 (例: 8枠 → 1,8,4,5,2,7,3,6)
+function bracketOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const doubled = order.length * 2;
+        order = order.flatMap(seed => [seed, doubled + 1 - seed]);
+    }
+    return order;
+}
+
+// 1回戦はシード順の枠に配置し、以降は前のラウンドの勝者を隣同士で組む。優勝者が決まっていれば空配列を返す。
+function pairEliminationRound(tournament) {
+    const previous = tournament.rounds[tournament.rounds.length - 1];
+    if (!previous) {
+        const seeded = [...tournament.players].sort((a, b) => a.seed - b.seed);
+        let size = 1;
+        while (size < seeded.length) size *= 2;
+        const slots = bracketOrder(size).map(seed => seeded[seed - 1]?.userId || null);
+        const pairings = [];
+        for (let i = 0; i < slots.length; i += 2) {
+            const [player1Id, player2Id] = slots[i] ? [slots[i], slots[i + 1]] : [slots[i + 1], null];
+            if (player1Id) pairings.push(createPairing(player1Id, player2Id));
+        }
+        return pairings;
+    }
+    const winners = previous.pairings.map(pairing => pairing.winnerId);
+    if (winners.length <= 1) return [];
+    const pairings = [];
+    for (let i = 0; i < winners.length; i += 2) pairings.push(createPairing(winners[i], winners[i + 1] || null));
+    return pairings;
+}
+
+function createPairing(player1Id, player2Id) {
+    // 不戦勝はその場で確定させる
+    if (!player2Id) return { matchId: null, player1Id, player2Id: null, winnerId: player1Id, status: 'done' };
+    return { matchId: null, player1Id, player2Id, winnerId: null, status: 'playing' };
+}
+
+function isRoundComplete(round) {
+    return !!round && round.pairings.every(pairing => pairing.status === 'done');
+}
+
+function isTournamentComplete(tournament) {
+    const lastRound = tournament.rounds[tournament.rounds.length - 1];
+    if (!isRoundComplete(lastRound)) return false;
+    if (tournament.format === 'single_elimination') return lastRound.pairings.length === 1;
+    return tournament.rounds.length >= tournament.totalRounds;
+}
+
+module.exports = {
+    getDefaultSwissRounds,
+    computeStandings,
+    pairSwissRound,
+    pairWithFewestRematches,
+    pairEliminationRound,
+    isRoundComplete,
+    isTournamentComplete
+};
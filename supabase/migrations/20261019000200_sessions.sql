@@ -0,0 +1,12 @@
+-- ログイン時に発行するセッション (lib/sessions.js)。auto_login はここに残っていて失効していないセッションのトークンのみ受け付ける。
+-- 何度実行しても同じ結果になるよう、if not exists で書いている。
+
+create table if not exists sessions (
+    session_id uuid primary key,
+    user_id uuid not null references users (user_id) on delete cascade,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz,
+    check (expires_at > created_at)
+);
+create index if not exists sessions_user_id_idx on sessions (user_id) where revoked_at is null;
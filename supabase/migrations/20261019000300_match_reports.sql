@@ -0,0 +1,22 @@
+-- 対戦結果の報告期限・不戦勝・係争 (processOverdueMatches / markMatchDisputed) で使う列。
+-- player1_report / player2_report / resolution / resolved_at は既存の列。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+alter table matches
+    add column if not exists report_deadline timestamptz,
+    add column if not exists status text,
+    add column if not exists winner_id uuid references users (user_id),
+    add column if not exists disputed_at timestamptz;
+
+-- status が null の行は、この列を追加する前に作られた対戦
+alter table matches drop constraint if exists matches_status_check;
+alter table matches add constraint matches_status_check check (status is null or status in ('open', 'resolved', 'disputed'));
+alter table matches drop constraint if exists matches_reports_check;
+alter table matches add constraint matches_reports_check check (
+    (player1_report is null or player1_report in ('win', 'lose')) and (player2_report is null or player2_report in ('win', 'lose')));
+alter table matches drop constraint if exists matches_winner_check;
+alter table matches add constraint matches_winner_check check (winner_id is null or winner_id in (player1_id, player2_id));
+
+-- processOverdueMatches の定期処理と、運営の係争一覧
+create index if not exists matches_report_deadline_idx on matches (report_deadline) where resolved_at is null;
+create index if not exists matches_disputed_idx on matches (disputed_at) where status = 'disputed' and resolved_at is null;
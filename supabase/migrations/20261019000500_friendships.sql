@@ -0,0 +1,22 @@
+-- フレンド一覧と、フレンドへの対戦申し込み (非レート戦) で使うテーブルと列。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+create table if not exists friendships (
+    requester_id uuid not null references users (user_id) on delete cascade,
+    addressee_id uuid not null references users (user_id) on delete cascade,
+    status text not null default 'pending' check (status in ('pending', 'accepted')),
+    created_at timestamptz not null default now(),
+    accepted_at timestamptz,
+    primary key (requester_id, addressee_id),
+    check (requester_id <> addressee_id)
+);
+-- 2人の間の関係は向きに関係なく1件だけ
+create unique index if not exists friendships_pair_key on friendships (least(requester_id, addressee_id), greatest(requester_id, addressee_id));
+create index if not exists friendships_addressee_idx on friendships (addressee_id);
+
+alter table matches
+    add column if not exists match_type text not null default 'ranked',
+    add column if not exists is_rated boolean not null default true;
+
+alter table matches drop constraint if exists matches_match_type_check;
+alter table matches add constraint matches_match_type_check check (match_type in ('ranked', 'private'));
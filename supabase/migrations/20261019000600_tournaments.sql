@@ -0,0 +1,25 @@
+-- スイス式・シングルエリミネーションの大会と、大会の対戦を matches に結びつける列。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+-- players / rounds は lib/tournaments.js の形をそのまま保存する
+create table if not exists tournaments (
+    tournament_id uuid primary key,
+    name text not null,
+    format text not null check (format in ('swiss', 'single_elimination')),
+    status text not null default 'registration' check (status in ('registration', 'running', 'finished')),
+    organizer_id uuid not null references users (user_id),
+    total_rounds integer check (total_rounds is null or total_rounds >= 1),
+    is_rated boolean not null default true,
+    players jsonb not null default '[]'::jsonb,
+    rounds jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+create index if not exists tournaments_active_idx on tournaments (status) where status <> 'finished';
+
+alter table matches add column if not exists tournament_id uuid;
+alter table matches drop constraint if exists matches_tournament_id_fkey;
+alter table matches add constraint matches_tournament_id_fkey foreign key (tournament_id) references tournaments (tournament_id);
+
+alter table matches drop constraint if exists matches_match_type_check;
+alter table matches add constraint matches_match_type_check check (match_type in ('ranked', 'private', 'tournament'));
@@ -0,0 +1,6 @@
+-- HTTP API のランキング (レート順) と、プレイヤーごとの対戦一覧で使うインデックス。
+
+create index if not exists users_rate_idx on users (rate desc, user_id);
+create index if not exists matches_player1_resolved_idx on matches (player1_id, resolved_at desc);
+create index if not exists matches_player2_resolved_idx on matches (player2_id, resolved_at desc);
+create index if not exists matches_winner_idx on matches (winner_id);
@@ -0,0 +1,5 @@
+-- 対戦履歴と get_stats のデッキ別集計で使う、各プレイヤーのデッキ名。
+
+alter table matches
+    add column if not exists player1_deck text,
+    add column if not exists player2_deck text;
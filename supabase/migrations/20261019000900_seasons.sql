@@ -0,0 +1,37 @@
+-- シーズン (ソフトリセット・配置戦) と、シーズン終了時に保存するランキングのテーブルと列。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+-- 既存のユーザーは null のまま残し、配置戦終了済みとして扱う (getPlacementGamesPlayed)。新規登録では 0 を書き込む
+alter table users add column if not exists placement_games_played integer;
+alter table users alter column placement_games_played drop not null, alter column placement_games_played drop default;
+alter table users drop constraint if exists users_placement_games_played_check;
+alter table users add constraint users_placement_games_played_check check (placement_games_played >= 0);
+
+create table if not exists seasons (
+    season_id uuid primary key,
+    season_number integer not null unique,
+    name text not null,
+    starts_at timestamptz not null,
+    ends_at timestamptz not null,
+    status text not null check (status in ('scheduled', 'active', 'archived')),
+    check (ends_at > starts_at),
+    -- シーズンの期間は重ならない (schedule_season でも確認している)
+    constraint seasons_no_overlap exclude using gist (tstzrange(starts_at, ends_at) with &&)
+);
+-- 同時に進行するシーズンは1つだけ
+create unique index if not exists seasons_single_active_key on seasons (status) where status = 'active';
+
+create table if not exists season_leaderboards (
+    season_id uuid not null references seasons (season_id) on delete cascade,
+    rank integer not null check (rank >= 1),
+    user_id uuid not null references users (user_id) on delete cascade,
+    username text not null,
+    rate integer not null,
+    primary key (season_id, rank),
+    unique (season_id, user_id)
+);
+create index if not exists season_leaderboards_user_id_idx on season_leaderboards (user_id);
+
+-- archiveSeason の途中で失敗したときに再実行で続きから処理するための記録
+alter table seasons add column if not exists leaderboard_saved_at timestamptz;
+alter table users add column if not exists last_reset_season_id uuid references seasons (season_id);
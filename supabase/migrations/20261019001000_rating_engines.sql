@@ -0,0 +1,7 @@
+-- Glicko-2 で使うレーティングの偏差・変動率と、最後にレーティングを更新した時刻。
+-- Elo では使わないので null のまま。
+
+alter table users
+    add column if not exists rating_deviation double precision,
+    add column if not exists rating_volatility double precision,
+    add column if not exists rating_updated_at timestamptz;
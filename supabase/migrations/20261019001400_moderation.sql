@@ -0,0 +1,33 @@
+-- モデレーター・管理者の権限、BAN・ミュート、対戦結果の訂正 (rating_changes) と操作の記録 (audit_log)。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+create extension if not exists pgcrypto;
+
+alter table users
+    add column if not exists role text not null default 'user',
+    add column if not exists is_banned boolean not null default false,
+    add column if not exists banned_until timestamptz,
+    add column if not exists ban_reason text,
+    add column if not exists muted_until timestamptz;
+
+alter table users drop constraint if exists users_role_check;
+alter table users add constraint users_role_check check (role in ('user', 'moderator', 'admin'));
+
+-- 確定時の各プレイヤーのレーティングの変化。override_match_result で取り消すときに使う
+alter table matches add column if not exists rating_changes jsonb;
+
+create table if not exists audit_log (
+    log_id uuid primary key default gen_random_uuid(),
+    actor_id uuid not null references users (user_id),
+    actor_username text not null,
+    action text not null,
+    target_user_id uuid references users (user_id),
+    target_match_id uuid references matches (match_id),
+    target_room_id text,
+    reason text,
+    details jsonb,
+    created_at timestamptz not null default now()
+);
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action, created_at desc);
+create index if not exists audit_log_target_user_idx on audit_log (target_user_id, created_at desc);
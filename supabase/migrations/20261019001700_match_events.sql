@@ -0,0 +1,13 @@
+-- 対戦中の操作の記録 (対戦ログ / リプレイ)。
+-- 何度実行しても同じ結果になるよう、if not exists で書いている。
+
+-- seq は対戦ごとの連番。同じ seq の同時書き込みは一意制約で片方だけが成功する
+create table if not exists match_events (
+    match_id uuid not null references matches (match_id) on delete cascade,
+    seq integer not null check (seq >= 1),
+    turn integer not null check (turn >= 0),
+    player_id uuid not null references users (user_id),
+    action jsonb not null,
+    created_at timestamptz not null default now(),
+    constraint match_events_match_id_seq_key unique (match_id, seq)
+);
@@ -0,0 +1,24 @@
+-- Bo3 / Bo5 の対戦で使う、各ゲームの結果・勝数とゲーム間のデッキ選択の列。
+-- 何度実行しても同じ結果になるよう、if not exists と (制約は) drop constraint if exists で書いている。
+
+alter table matches
+    add column if not exists series_format text not null default 'bo1',
+    add column if not exists current_game integer not null default 1,
+    add column if not exists player1_game_wins integer not null default 0,
+    add column if not exists player2_game_wins integer not null default 0,
+    add column if not exists games jsonb not null default '[]'::jsonb,
+    add column if not exists series_phase text,
+    add column if not exists sideboard_ready jsonb not null default '[]'::jsonb,
+    add column if not exists sideboard_deadline timestamptz;
+
+alter table matches drop constraint if exists matches_series_check;
+alter table matches add constraint matches_series_check check (
+    series_format in ('bo1', 'bo3', 'bo5')
+    and (series_phase is null or series_phase in ('playing', 'sideboarding'))
+    and current_game >= 1 and player1_game_wins >= 0 and player2_game_wins >= 0);
+
+-- 対戦ログの各操作が何ゲーム目のものか
+alter table match_events add column if not exists game_number integer not null default 1 check (game_number >= 1);
+
+-- processOverdueMatches がデッキ選択の期限切れを探す
+create index if not exists matches_sideboard_deadline_idx on matches (sideboard_deadline) where resolved_at is null and series_phase = 'sideboarding';
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSharedBackends, createTestServer, send, waitForMessage, createLoggedInClient } = require('./helpers');
+
+test('players on different instances are matched and a stopped instance\'s sockets and queue entries are swept', async () => {
+    // 同じストレージ・共有ストア・メッセージバスを使う2つのインスタンス。a は生存キーの期限を短くしておく
+    const backends = createSharedBackends();
+    const a = createTestServer(backends, { heartbeatTtlMs: 100 });
+    const b = createTestServer(backends);
+    await a.heartbeat();
+    await b.heartbeat();
+
+    const alice = await createLoggedInClient('xa', a);
+    const bob = await createLoggedInClient('xb', b);
+    await send(alice.ws, { type: 'join_queue' });
+    await send(bob.ws, { type: 'join_queue' });
+    const found = await waitForMessage(alice.ws, 'match_found');
+    assert.equal(found.opponentUserId, bob.userId);
+    assert.equal((await waitForMessage(bob.ws, 'match_found')).matchId, found.matchId);
+    assert.equal(a.connections.get(alice.ws).opponentWsId, b.connections.get(bob.ws).wsId);
+
+    await send(alice.ws, { type: 'report_result', matchId: found.matchId, result: 'win' });
+    await send(bob.ws, { type: 'report_result', matchId: found.matchId, result: 'lose' });
+    assert.ok((await waitForMessage(alice.ws, 'report_result_response', message => message.result === 'resolved')).myNewRate > 1500);
+    assert.ok((await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved')).myNewRate < 1500);
+
+    // a が生存キーを更新しなくなった (異常終了した) 後、b が a の接続とキューのエントリを片付ける
+    const carol = await createLoggedInClient('xc', a);
+    await send(carol.ws, { type: 'join_queue' });
+    assert.deepEqual((await backends.store.getQueueEntries()).map(entry => entry.userId), [carol.userId]);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await b.heartbeat();
+    await b.sweepDeadInstances();
+
+    assert.ok(!(await backends.store.getUserSocket(carol.userId)));
+    assert.ok(!(await backends.store.getUserSocket(alice.userId)));
+    assert.equal(await backends.store.getQueueSize(), 0);
+    assert.equal(await backends.store.getUserSocket(bob.userId), b.connections.get(bob.ws).wsId);
+
+    for (const client of [alice, bob, carol]) client.ws.close();
+});
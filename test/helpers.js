@@ -0,0 +1,97 @@
+/*
+ * テスト用ヘルパー
+ * index.js のサーバーを Supabase・Redis なしで作り (ストレージは createMemoryStorage、共有状態はメモリ)、
+ * WebSocket の代わりに送信内容を記録する偽のソケットでメッセージをやり取りする。
+ * ストレージと共有状態を共有するインスタンスを createTestServer で追加すれば、インスタンスをまたぐ処理も試せる。
+ */
+
+const { EventEmitter } = require('events');
+
+delete process.env.SUPABASE_URL;
+delete process.env.SUPABASE_SERVICE_KEY;
+delete process.env.REDIS_URL;
+
+const { createGameServer, createStorage, createSharedState } = require('../index');
+
+const TEST_PASSWORD = 'password1234';
+const SESSION_SECRET = 'test-session-secret';
+const WAIT_TIMEOUT_MS = 2000;
+let socketCount = 0;
+let usernameCount = 0;
+
+// インスタンス間で共有するストレージ・共有ストア・メッセージバス
+function createSharedBackends() {
+    return { storage: createStorage(), ...createSharedState() };
+}
+
+function createTestServer(backends, options = {}) {
+    return createGameServer({ ...backends, sessionSecret: SESSION_SECRET, ...options });
+}
+
+const app = createTestServer(createSharedBackends());
+
+// 送信されたメッセージを ws.sent に溜める偽のソケット。接続ごとに IP を変え、IP 単位のレート制限にかからないようにする
+function connect(server = app) {
+    socketCount += 1;
+    const ws = new EventEmitter();
+    ws.readyState = 1; // WebSocket.OPEN
+    ws.sent = [];
+    ws.send = message => ws.sent.push(JSON.parse(message));
+    ws.ping = () => {};
+    ws.close = () => {
+        if (ws.readyState === 3) return;
+        ws.readyState = 3;
+        ws.emit('close');
+    };
+    ws.terminate = ws.close;
+    ws.server = server;
+    server.handleConnection(ws, { headers: {}, socket: { remoteAddress: `10.0.${Math.floor(socketCount / 250)}.${(socketCount % 250) + 1}` } });
+    return ws;
+}
+
+function send(ws, message) {
+    return ws.server.handleMessage(ws, JSON.stringify(message));
+}
+
+// type が一致し predicate を満たす最初のメッセージを取り出す (届くまで待つ)
+async function waitForMessage(ws, type, predicate = () => true, timeoutMs = WAIT_TIMEOUT_MS) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const index = ws.sent.findIndex(message => message.type === type && predicate(message));
+        if (index !== -1) return ws.sent.splice(index, 1)[0];
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${type}. Received: ${ws.sent.map(message => message.type).join(', ')}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function uniqueUsername(prefix = 'user') {
+    usernameCount += 1;
+    return `${prefix}${process.pid % 1000}_${usernameCount}`.slice(0, 15);
+}
+
+// 登録してログインした接続を返す
+async function createLoggedInClient(prefix, server = app) {
+    const username = uniqueUsername(prefix);
+    const ws = connect(server);
+    await send(ws, { type: 'register', username, password: TEST_PASSWORD });
+    const registered = await waitForMessage(ws, 'register_response');
+    if (!registered.success) throw new Error(`register failed: ${registered.message}`);
+    await send(ws, { type: 'login', username, password: TEST_PASSWORD });
+    const loggedIn = await waitForMessage(ws, 'login_response');
+    if (!loggedIn.success) throw new Error(`login failed: ${loggedIn.message}`);
+    return { ws, username, userId: loggedIn.userId, login: loggedIn };
+}
+
+// 2人をキューに入れて対戦を成立させる
+async function createMatchBetween(client1, client2, options = {}) {
+    await send(client1.ws, { type: 'join_queue', ...options });
+    await send(client2.ws, { type: 'join_queue', ...options });
+    const found1 = await waitForMessage(client1.ws, 'match_found');
+    const found2 = await waitForMessage(client2.ws, 'match_found');
+    if (found1.matchId !== found2.matchId) throw new Error('players were matched into different matches');
+    return found1.matchId;
+}
+
+module.exports = { app, TEST_PASSWORD, createSharedBackends, createTestServer, connect, send, waitForMessage, uniqueUsername, createLoggedInClient, createMatchBetween };
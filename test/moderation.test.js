@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, send, waitForMessage, createLoggedInClient } = require('./helpers');
+
+// ログイン中の接続にも反映されるよう、権限の変更は moderation_update で通知する
+async function grantRole(client, role) {
+    await app.storage.users.update(client.userId, { role });
+    await app.cluster.publishEvent('moderation_update', { userId: client.userId, role });
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+async function reportResult(winner, loser, matchId) {
+    await send(winner.ws, { type: 'report_result', matchId, result: 'win' });
+    await send(loser.ws, { type: 'report_result', matchId, result: 'lose' });
+    await waitForMessage(loser.ws, 'report_result_response', message => message.result === 'resolved');
+}
+
+test('moderators and admins cannot act on users with the same or a higher role', async () => {
+    const admin = await createLoggedInClient('ad');
+    const otherAdmin = await createLoggedInClient('ad');
+    const moderator = await createLoggedInClient('md');
+    const player = await createLoggedInClient('pl');
+    await grantRole(admin, 'admin');
+    await grantRole(otherAdmin, 'admin');
+    await grantRole(moderator, 'moderator');
+
+    await send(moderator.ws, { type: 'mute_user', username: player.username, durationMinutes: 10 });
+    assert.equal((await waitForMessage(moderator.ws, 'mute_user_response')).success, true);
+    await send(moderator.ws, { type: 'mute_user', username: admin.username, durationMinutes: 10 });
+    assert.equal((await waitForMessage(moderator.ws, 'mute_user_response')).message, '権限がありません。');
+
+    await send(admin.ws, { type: 'mute_user', username: moderator.username, durationMinutes: 10 });
+    assert.equal((await waitForMessage(admin.ws, 'mute_user_response')).success, true);
+    await send(admin.ws, { type: 'ban_user', username: otherAdmin.username });
+    assert.equal((await waitForMessage(admin.ws, 'ban_user_response')).message, '権限がありません。');
+    await send(admin.ws, { type: 'set_user_role', username: otherAdmin.username, role: 'user' });
+    assert.equal((await waitForMessage(admin.ws, 'set_user_role_response')).message, '権限がありません。');
+    assert.equal((await app.storage.users.findById(otherAdmin.userId)).role, 'admin');
+
+    for (const client of [admin, otherAdmin, moderator, player]) client.ws.close();
+});
+
+test('overriding a tournament match updates its pairing until the next elimination round starts', async () => {
+    const admin = await createLoggedInClient('to');
+    await grantRole(admin, 'admin');
+    await send(admin.ws, { type: 'create_tournament', name: '訂正テスト', format: 'single_elimination' });
+    const { tournamentId } = (await waitForMessage(admin.ws, 'create_tournament_response')).tournament;
+    const players = [];
+    for (let i = 0; i < 4; i += 1) {
+        const client = await createLoggedInClient('tp');
+        await send(client.ws, { type: 'join_tournament', tournamentId });
+        assert.equal((await waitForMessage(client.ws, 'join_tournament_response')).success, true);
+        players.push(client);
+    }
+    const byId = new Map(players.map(client => [client.userId, client]));
+    const getRound = async number => (await app.storage.tournaments.findById(tournamentId)).rounds[number - 1];
+
+    await send(admin.ws, { type: 'start_tournament_round', tournamentId });
+    assert.equal((await waitForMessage(admin.ws, 'start_tournament_round_response')).success, true);
+    const [first, second] = (await getRound(1)).pairings;
+    for (const pairing of [first, second]) {
+        await reportResult(byId.get(pairing.player1Id), byId.get(pairing.player2Id), pairing.matchId);
+    }
+    assert.equal((await getRound(1)).pairings[0].winnerId, first.player1Id);
+
+    // 次のラウンドが始まる前なら、組み合わせの勝者も差し替わる
+    await send(admin.ws, { type: 'force_resolve_match', matchId: first.matchId, winnerUserId: first.player2Id });
+    assert.equal((await waitForMessage(admin.ws, 'force_resolve_match_response')).success, true);
+    assert.equal((await getRound(1)).pairings[0].winnerId, first.player2Id);
+
+    await send(admin.ws, { type: 'start_tournament_round', tournamentId });
+    assert.equal((await waitForMessage(admin.ws, 'start_tournament_round_response')).success, true);
+    const [final] = (await getRound(2)).pairings;
+    assert.deepEqual([final.player1Id, final.player2Id].sort(), [first.player2Id, second.player1Id].sort());
+
+    // 勝者で組まれた次のラウンドが始まった後は変更できない
+    await send(admin.ws, { type: 'force_resolve_match', matchId: first.matchId, winnerUserId: first.player1Id });
+    assert.equal((await waitForMessage(admin.ws, 'force_resolve_match_response')).message, '次のラウンドが始まっているため、この大会の対戦結果は変更できません。');
+    assert.equal((await app.storage.matches.findById(first.matchId)).winner_id, first.player2Id);
+
+    await reportResult(byId.get(final.player1Id), byId.get(final.player2Id), final.matchId);
+    admin.ws.close();
+    players.forEach(client => client.ws.close());
+});
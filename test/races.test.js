@@ -0,0 +1,230 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, TEST_PASSWORD, connect, send, waitForMessage, createLoggedInClient, createMatchBetween } = require('./helpers');
+
+// 初めての対戦 (配置戦、K = 64) で同じレート同士なら、1回だけ反映されたときに ±32 になる
+const WINNER_RATE = 1532;
+const LOSER_RATE = 1468;
+
+async function assertRatedOnce(winner, loser, matchId) {
+    const winnerData = await app.storage.users.findById(winner.userId);
+    const loserData = await app.storage.users.findById(loser.userId);
+    assert.equal(winnerData.rate, WINNER_RATE);
+    assert.equal(loserData.rate, LOSER_RATE);
+    assert.deepEqual(winnerData.match_history.map(entry => entry.matchId), [matchId]);
+    assert.deepEqual(loserData.match_history.map(entry => entry.matchId), [matchId]);
+    assert.equal(winnerData.placement_games_played, 1);
+    const match = await app.storage.matches.findById(matchId);
+    assert.equal(match.status, 'resolved');
+    assert.equal(match.winner_id, winner.userId);
+}
+
+// storage / sharedState のメソッドを1回だけ差し替え、元の処理の後に割り込む処理を実行する
+function interceptOnce(target, method, interleave) {
+    const original = target[method];
+    target[method] = async (...args) => {
+        target[method] = original;
+        const result = await original.apply(target, args);
+        await interleave(result);
+        return result;
+    };
+    return () => { target[method] = original; };
+}
+
+test('concurrent reports from both players apply the rating exactly once', async () => {
+    const alice = await createLoggedInClient('ca');
+    const bob = await createLoggedInClient('cb');
+    const matchId = await createMatchBetween(alice, bob);
+
+    await Promise.all([
+        send(alice.ws, { type: 'report_result', matchId, result: 'win' }),
+        send(bob.ws, { type: 'report_result', matchId, result: 'lose' })
+    ]);
+    await waitForMessage(alice.ws, 'report_result_response', message => message.result === 'resolved');
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    await assertRatedOnce(alice, bob, matchId);
+    // 確定の通知は1人1回だけ
+    assert.equal(alice.ws.sent.filter(message => message.type === 'report_result_response' && message.result === 'resolved').length, 0);
+
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('the same report sent twice at once is recorded once', async () => {
+    const alice = await createLoggedInClient('da');
+    const bob = await createLoggedInClient('db');
+    const matchId = await createMatchBetween(alice, bob);
+
+    await Promise.all([
+        send(alice.ws, { type: 'report_result', matchId, result: 'win' }),
+        send(alice.ws, { type: 'report_result', matchId, result: 'win' })
+    ]);
+    const responses = [await waitForMessage(alice.ws, 'report_result_response'), await waitForMessage(alice.ws, 'report_result_response')];
+    assert.deepEqual(responses.map(response => response.success).sort(), [false, true]);
+
+    await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    await assertRatedOnce(alice, bob, matchId);
+
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('a report racing the overdue sweep settles the match once', async t => {
+    // 期限切れ処理が対戦を読み込んだ直後に、相手の報告が届く場合と、報告の途中で期限切れ処理が走る場合
+    for (const order of ['sweep_first', 'report_first']) {
+        await t.test(order, async () => {
+            const alice = await createLoggedInClient('oa');
+            const bob = await createLoggedInClient('ob');
+            const matchId = await createMatchBetween(alice, bob);
+            await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+            await waitForMessage(alice.ws, 'report_result_response', message => message.result === 'pending');
+
+            // 期限切れ処理には、報告期限を過ぎた時点の対戦として見せる
+            const pending = await app.storage.matches.findById(matchId);
+            const findOverdue = app.storage.matches.findOverdue;
+            app.storage.matches.findOverdue = async () => [{ ...pending, report_deadline: new Date(Date.now() - 1000).toISOString() }];
+            try {
+                if (order === 'sweep_first') {
+                    await Promise.all([app.processOverdueMatches(), send(bob.ws, { type: 'report_result', matchId, result: 'lose' })]);
+                } else {
+                    const restore = interceptOnce(app.storage.matches, 'compareAndUpdate', () => app.processOverdueMatches());
+                    try {
+                        await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+                    } finally {
+                        restore();
+                    }
+                }
+            } finally {
+                app.storage.matches.findOverdue = findOverdue;
+            }
+
+            const settled = await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+            // 報告の記録後に割り込んだ期限切れ処理は、記録前に読んだ対戦から不戦勝で確定させる
+            if (order === 'report_first') assert.equal(settled.resolution, 'forfeit');
+            await assertRatedOnce(alice, bob, matchId);
+            alice.ws.close();
+            bob.ws.close();
+        });
+    }
+});
+
+test('a match whose rating update fails partway stays open and the overdue sweep applies it once', async () => {
+    const alice = await createLoggedInClient('fa');
+    const bob = await createLoggedInClient('fb');
+    const matchId = await createMatchBetween(alice, bob);
+    await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+    await waitForMessage(alice.ws, 'report_result_response', message => message.result === 'pending');
+
+    // 1人目の書き込みの後、2人目の書き込みで失敗させる
+    const update = app.storage.users.update;
+    let writes = 0;
+    app.storage.users.update = async (...args) => {
+        writes += 1;
+        if (writes === 2) throw new Error('connection reset');
+        return update.apply(app.storage.users, args);
+    };
+    try {
+        await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+    } finally {
+        app.storage.users.update = update;
+    }
+    assert.equal((await waitForMessage(bob.ws, 'report_result_response')).success, false);
+    const unresolved = await app.storage.matches.findById(matchId);
+    assert.equal(unresolved.status, 'open');
+    assert.ok(!unresolved.resolved_at);
+
+    const findOverdue = app.storage.matches.findOverdue;
+    app.storage.matches.findOverdue = async () => [{ ...unresolved, report_deadline: new Date(Date.now() - 1000).toISOString() }];
+    try {
+        await app.processOverdueMatches();
+    } finally {
+        app.storage.matches.findOverdue = findOverdue;
+    }
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    await assertRatedOnce(alice, bob, matchId);
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('a player who disconnects while the queue is being matched is not matched', async () => {
+    const alice = await createLoggedInClient('ma');
+    const bob = await createLoggedInClient('mb');
+    await send(alice.ws, { type: 'join_queue' });
+    await app.tryMatchPlayers();
+
+    // マッチングがキューを読み込んだ後、エントリーを取り出す前に切断する
+    const restore = interceptOnce(app.sharedState, 'getQueueEntries', async entries => {
+        if (entries.length < 2) return;
+        bob.ws.close();
+        await new Promise(resolve => setImmediate(resolve));
+    });
+    try {
+        await send(bob.ws, { type: 'join_queue' });
+        await app.tryMatchPlayers();
+    } finally {
+        restore();
+    }
+
+    assert.equal((await app.storage.users.findById(alice.userId)).current_match_id, null);
+    assert.equal((await app.storage.users.findById(bob.userId)).current_match_id, null);
+    assert.deepEqual((await app.sharedState.getQueueEntries()).map(entry => entry.userId), [alice.userId]);
+    assert.equal(alice.ws.sent.some(message => message.type === 'match_found'), false);
+
+    await send(alice.ws, { type: 'leave_queue' });
+    alice.ws.close();
+});
+
+test('a player who joins the queue while matching runs keeps their entry', async () => {
+    const alice = await createLoggedInClient('ja');
+    const bob = await createLoggedInClient('jb');
+    const carol = await createLoggedInClient('jc');
+    await send(alice.ws, { type: 'join_queue' });
+    await app.tryMatchPlayers();
+
+    // alice と bob を組んでいる間に carol が参加する
+    const restore = interceptOnce(app.sharedState, 'getQueueEntries', async entries => {
+        if (entries.length < 2) return;
+        await send(carol.ws, { type: 'join_queue' });
+    });
+    try {
+        await send(bob.ws, { type: 'join_queue' });
+        await app.tryMatchPlayers();
+    } finally {
+        restore();
+    }
+
+    const found = await waitForMessage(alice.ws, 'match_found');
+    assert.equal(found.opponentUserId, bob.userId);
+    assert.deepEqual((await app.sharedState.getQueueEntries()).map(entry => entry.userId), [carol.userId]);
+    assert.equal((await app.storage.users.findById(carol.userId)).current_match_id, null);
+
+    await send(alice.ws, { type: 'report_result', matchId: found.matchId, result: 'win' });
+    await send(bob.ws, { type: 'report_result', matchId: found.matchId, result: 'lose' });
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    await send(carol.ws, { type: 'leave_queue' });
+    for (const client of [alice, bob, carol]) client.ws.close();
+});
+
+test('join_queue from a player reconnecting into an open match is rejected', async () => {
+    const alice = await createLoggedInClient('ra');
+    const bob = await createLoggedInClient('rb');
+    const matchId = await createMatchBetween(alice, bob);
+
+    // 新しい接続 (conn.matchId は未設定) でも current_match_id の対戦が続いていれば参加できない
+    const ws = connect();
+    await send(ws, { type: 'login', username: alice.username, password: TEST_PASSWORD });
+    await waitForMessage(ws, 'login_response');
+    await waitForMessage(ws, 'match_resumed');
+    app.connections.get(ws).matchId = null;
+    await send(ws, { type: 'join_queue' });
+    assert.equal((await waitForMessage(ws, 'error')).message, '対戦中はマッチングに参加できません。');
+    assert.equal(await app.sharedState.getQueueSize(), 0);
+
+    await send(ws, { type: 'report_result', matchId, result: 'win' });
+    await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    ws.close();
+    alice.ws.close();
+    bob.ws.close();
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateRating, createGlicko2Engine } = require('../lib/rating/glicko2');
+const { createEloEngine } = require('../lib/rating/elo');
+const { createRatingEngine } = require('../lib/rating');
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('glicko2 updateRating reproduces the worked example from Glickman\'s paper', () => {
+    const player = { rate: 1500, deviation: 200, volatility: 0.06 };
+    const results = [
+        { opponent: { rate: 1400, deviation: 30 }, score: 1 },
+        { opponent: { rate: 1550, deviation: 100 }, score: 0 },
+        { opponent: { rate: 1700, deviation: 300 }, score: 0 }
+    ];
+    const updated = updateRating(player, results);
+    assertClose(updated.rate, 1464.05, 0.01, 'rate');
+    assertClose(updated.deviation, 151.52, 0.01, 'deviation');
+    assertClose(updated.volatility, 0.059996, 0.000001, 'volatility');
+});
+
+test('glicko2 updateRating only widens the deviation for a period without games', () => {
+    const updated = updateRating({ rate: 1500, deviation: 200, volatility: 0.06 }, []);
+    assert.equal(updated.rate, 1500);
+    assert.equal(updated.volatility, 0.06);
+    assertClose(updated.deviation, Math.sqrt((200 / 173.7178) ** 2 + 0.06 ** 2) * 173.7178, 1e-9, 'deviation');
+});
+
+test('glicko2 rateMatch rounds the rate and moves both players in opposite directions', () => {
+    const engine = createGlicko2Engine();
+    const now = Date.UTC(2026, 0, 1);
+    const { p1, p2 } = engine.rateMatch(engine.initialState(), engine.initialState(), 1, { now });
+    assert.ok(Number.isInteger(p1.rate) && Number.isInteger(p2.rate));
+    assert.ok(p1.rate > 1500 && p2.rate < 1500);
+    assert.equal(p1.rate - 1500, 1500 - p2.rate);
+    assert.ok(p1.deviation < 350 && p2.deviation < 350);
+    assert.equal(p1.updatedAt, now);
+});
+
+test('glicko2 decay widens the deviation per elapsed rating period up to the default', () => {
+    const engine = createGlicko2Engine({ ratingPeriodMs: 1000 });
+    const state = { rate: 1600, deviation: 50, volatility: 0.06, updatedAt: 1000 };
+    assert.deepEqual(engine.decay(state, 1999), state);
+    const decayed = engine.decay(state, 5500);
+    assertClose(decayed.deviation, Math.sqrt((50 / 173.7178) ** 2 + 4 * 0.06 ** 2) * 173.7178, 1e-9, 'deviation');
+    assert.equal(decayed.updatedAt, 5000);
+    assert.equal(engine.decay({ ...state, deviation: 349 }, 1e9).deviation, 350);
+});
+
+test('elo rateMatch between equal ratings moves each player by half of K', () => {
+    const engine = createEloEngine();
+    const { p1, p2 } = engine.rateMatch({ rate: 1500 }, { rate: 1500 }, 1, { now: 0 });
+    assert.equal(p1.rate, 1516);
+    assert.equal(p2.rate, 1484);
+});
+
+test('elo rateMatch rewards an upset more than an expected win', () => {
+    const engine = createEloEngine();
+    // 期待勝率: 1700 対 1500 は約 0.76
+    const expected = engine.rateMatch({ rate: 1700 }, { rate: 1500 }, 1, { now: 0 });
+    assert.equal(expected.p1.rate, 1708);
+    assert.equal(expected.p2.rate, 1492);
+    const upset = engine.rateMatch({ rate: 1700 }, { rate: 1500 }, 0, { now: 0 });
+    assert.equal(upset.p1.rate, 1676);
+    assert.equal(upset.p2.rate, 1524);
+});
+
+test('elo rateMatch applies per-player K factors for placement games', () => {
+    const engine = createEloEngine({ kFactor: 32 });
+    const { p1, p2 } = engine.rateMatch({ rate: 1500 }, { rate: 1500 }, 0, { p1KFactor: 64, now: 0 });
+    assert.equal(p1.rate, 1468);
+    assert.equal(p2.rate, 1516);
+});
+
+test('elo keeps no deviation and decay leaves the state unchanged', () => {
+    const engine = createEloEngine();
+    assert.deepEqual(engine.initialState(), { rate: 1500, deviation: null, volatility: null, updatedAt: null });
+    const state = { rate: 1550, deviation: null, volatility: null, updatedAt: 0 };
+    assert.equal(engine.decay(state, Date.now()), state);
+});
+
+test('seasonReset pulls ratings toward 1500 by the given factor', () => {
+    const elo = createEloEngine();
+    assert.equal(elo.seasonReset({ rate: 1800 }, 0.5).rate, 1650);
+    assert.equal(elo.seasonReset({ rate: 1200 }, 0.5).rate, 1350);
+    assert.equal(elo.seasonReset({ rate: 1500 }, 0.5).rate, 1500);
+    assert.equal(elo.seasonReset({ rate: 1801 }, 0.5).rate, 1651); // 1650.5 は四捨五入
+    assert.equal(elo.seasonReset({ rate: 1800 }, 0).rate, 1500);
+    assert.equal(elo.seasonReset({ rate: 1800 }, 1).rate, 1800);
+});
+
+test('glicko2 seasonReset also raises the deviation to the reset floor', () => {
+    const engine = createGlicko2Engine({ seasonResetDeviation: 200 });
+    const settled = engine.seasonReset({ rate: 1900, deviation: 60, volatility: 0.05, updatedAt: 1 }, 0.5);
+    assert.deepEqual(settled, { rate: 1700, deviation: 200, volatility: 0.05, updatedAt: 1 });
+    // 既に偏差の大きいプレイヤーは偏差を変えない
+    assert.equal(engine.seasonReset({ rate: 1900, deviation: 300, volatility: 0.06 }, 0.5).deviation, 300);
+    // 未設定の値は初期値として扱う
+    assert.deepEqual(engine.seasonReset({ rate: 1300 }, 0.5), { rate: 1400, deviation: 350, volatility: 0.06, updatedAt: null });
+});
+
+test('createRatingEngine selects the engine by name and rejects unknown names', () => {
+    assert.equal(createRatingEngine().name, 'elo');
+    assert.equal(createRatingEngine('glicko2').name, 'glicko2');
+    assert.throws(() => createRatingEngine('trueskill'), /Unknown rating engine: trueskill/);
+});
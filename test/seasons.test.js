@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { app, createLoggedInClient } = require('./helpers');
+
+test('a season rollover that fails partway resumes without saving the ranking twice or resetting anyone twice', async () => {
+    const rates = [1800, 1600, 1400];
+    const players = [];
+    for (const rate of rates) {
+        const client = await createLoggedInClient('sr');
+        client.ws.close();
+        await app.storage.users.update(client.userId, { rate, placement_games_played: 5 });
+        players.push(client);
+    }
+    const seasonId = uuidv4();
+    await app.storage.seasons.create({
+        season_id: seasonId, season_number: 1, name: 'シーズン1', status: 'active',
+        starts_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), ends_at: new Date(Date.now() - 1000).toISOString()
+    });
+
+    // 2人目のリセットで書き込みに失敗させる
+    const update = app.storage.users.update;
+    let writes = 0;
+    app.storage.users.update = async (...args) => {
+        writes += 1;
+        if (writes === 2) throw new Error('connection reset');
+        return update.apply(app.storage.users, args);
+    };
+    try {
+        await app.processSeasonRollover();
+    } finally {
+        app.storage.users.update = update;
+    }
+    assert.equal((await app.storage.seasons.findById(seasonId)).status, 'active');
+    assert.equal((await app.storage.users.findById(players[0].userId)).rate, 1650);
+    assert.equal((await app.storage.users.findById(players[1].userId)).rate, 1600);
+
+    await app.processSeasonRollover();
+
+    const season = await app.storage.seasons.findById(seasonId);
+    assert.equal(season.status, 'archived');
+    const { rows, total } = await app.storage.leaderboards.listForSeason(seasonId);
+    assert.equal(total, rates.length);
+    assert.deepEqual(rows.map(row => [row.rank, row.user_id, row.rate]), players.map((player, index) => [index + 1, player.userId, rates[index]]));
+    for (const [index, expected] of [1650, 1550, 1450].entries()) {
+        const userData = await app.storage.users.findById(players[index].userId);
+        assert.equal(userData.rate, expected);
+        assert.equal(userData.placement_games_played, 0);
+    }
+    assert.equal((await app.storage.seasons.findActive()).season_number, 2);
+});
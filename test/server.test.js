@@ -0,0 +1,206 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, TEST_PASSWORD, connect, send, waitForMessage, uniqueUsername, createLoggedInClient, createMatchBetween } = require('./helpers');
+
+test('uses the in-memory storage when Supabase is not configured', () => {
+    assert.equal(app.storage.name, 'memory');
+});
+
+test('register and login', async () => {
+    const username = uniqueUsername('reg');
+    const ws = connect();
+
+    await send(ws, { type: 'register', username, password: TEST_PASSWORD });
+    assert.equal((await waitForMessage(ws, 'register_response')).success, true);
+
+    await send(ws, { type: 'register', username, password: TEST_PASSWORD });
+    const duplicate = await waitForMessage(ws, 'register_response');
+    assert.equal(duplicate.success, false);
+    assert.equal(duplicate.message, 'このユーザー名は既に使われています。');
+
+    await send(ws, { type: 'login', username, password: 'wrong-password' });
+    assert.equal((await waitForMessage(ws, 'login_response')).success, false);
+
+    await send(ws, { type: 'login', username, password: TEST_PASSWORD });
+    const login = await waitForMessage(ws, 'login_response');
+    assert.equal(login.success, true);
+    assert.equal(login.username, username);
+    assert.equal(login.rate, 1500);
+    assert.ok(login.sessionToken);
+    assert.equal(await app.sharedState.getUserSocket(login.userId), app.connections.get(ws).wsId);
+
+    // 発行されたセッションで別の接続から自動ログインできる
+    const other = connect();
+    await send(other, { type: 'auto_login', sessionToken: login.sessionToken });
+    const autoLogin = await waitForMessage(other, 'auto_login_response');
+    assert.equal(autoLogin.success, true);
+    assert.equal(autoLogin.userId, login.userId);
+    other.close();
+    ws.close();
+});
+
+test('queue matches two players and leave_queue removes the entry', async () => {
+    const alice = await createLoggedInClient('qa');
+    const bob = await createLoggedInClient('qb');
+
+    await send(alice.ws, { type: 'join_queue', deck: 'Aggro' });
+    assert.equal((await waitForMessage(alice.ws, 'queue_status')).message, '対戦相手を検索中です...');
+    await send(alice.ws, { type: 'leave_queue' });
+    await waitForMessage(alice.ws, 'queue_status', message => message.message === 'マッチングをキャンセルしました。');
+    assert.equal(await app.sharedState.getQueueSize(), 0);
+
+    const matchId = await createMatchBetween(alice, bob, { deck: 'Aggro' });
+    const match = await app.storage.matches.findById(matchId);
+    assert.equal(match.status, 'open');
+    assert.deepEqual([match.player1_id, match.player2_id].sort(), [alice.userId, bob.userId].sort());
+    assert.equal((await app.storage.users.findById(alice.userId)).current_match_id, matchId);
+    assert.equal(await app.sharedState.getQueueSize(), 0);
+
+    // 対戦中はキューに入れない
+    await send(alice.ws, { type: 'join_queue' });
+    assert.equal((await waitForMessage(alice.ws, 'error')).message, '対戦中はマッチングに参加できません。');
+    assert.equal(await app.sharedState.getQueueSize(), 0);
+
+    // 対戦中に切断すると再接続待ちのタイマーが残るので、確定させてから切断する
+    await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+    await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('matching reports resolve the match and update both ratings', async () => {
+    const alice = await createLoggedInClient('ra');
+    const bob = await createLoggedInClient('rb');
+    const matchId = await createMatchBetween(alice, bob);
+
+    await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+    assert.equal((await waitForMessage(alice.ws, 'report_result_response')).result, 'pending');
+    await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+
+    const aliceResult = await waitForMessage(alice.ws, 'report_result_response');
+    const bobResult = await waitForMessage(bob.ws, 'report_result_response');
+    assert.equal(aliceResult.result, 'resolved');
+    assert.equal(aliceResult.resolution, 'resolved');
+    assert.ok(aliceResult.myNewRate > 1500);
+    assert.ok(bobResult.myNewRate < 1500);
+    assert.equal(aliceResult.myNewRate + bobResult.myNewRate, 3000);
+
+    const match = await app.storage.matches.findById(matchId);
+    assert.equal(match.status, 'resolved');
+    assert.equal(match.winner_id, alice.userId);
+    const aliceData = await app.storage.users.findById(alice.userId);
+    assert.equal(aliceData.rate, aliceResult.myNewRate);
+    assert.equal(aliceData.current_match_id, null);
+    assert.equal(aliceData.match_history.length, 1);
+    assert.equal(aliceData.match_history[0].result, 'win');
+
+    // 確定後の報告は受け付けない
+    await send(bob.ws, { type: 'report_result', matchId, result: 'win' });
+    assert.equal((await waitForMessage(bob.ws, 'report_result_response')).success, false);
+
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('conflicting reports mark the match disputed without changing ratings', async () => {
+    const alice = await createLoggedInClient('da');
+    const bob = await createLoggedInClient('db');
+    const matchId = await createMatchBetween(alice, bob);
+
+    await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+    await waitForMessage(alice.ws, 'report_result_response', message => message.result === 'pending');
+    await send(bob.ws, { type: 'report_result', matchId, result: 'win' });
+    assert.equal((await waitForMessage(bob.ws, 'report_result_response')).result, 'disputed');
+
+    const match = await app.storage.matches.findById(matchId);
+    assert.equal(match.status, 'disputed');
+    assert.equal((await app.storage.users.findById(alice.userId)).rate, 1500);
+    assert.equal((await app.storage.users.findById(bob.userId)).rate, 1500);
+
+    alice.ws.close();
+    bob.ws.close();
+});
+
+test('spectators of a broadcast linked to a match receive its game actions', async () => {
+    const alice = await createLoggedInClient('sa');
+    const bob = await createLoggedInClient('sb');
+    const viewer = await createLoggedInClient('sv');
+    const matchId = await createMatchBetween(alice, bob);
+
+    await send(alice.ws, { type: 'start_broadcast', linkMatch: true, title: 'テスト配信' });
+    const started = await waitForMessage(alice.ws, 'broadcast_started');
+    assert.equal(started.success, true);
+
+    await send(viewer.ws, { type: 'get_broadcast_list' });
+    const list = await waitForMessage(viewer.ws, 'broadcast_list_update', message => message.list.some(room => room.roomId === started.roomId));
+    assert.ok(list.list.find(room => room.roomId === started.roomId));
+
+    await send(viewer.ws, { type: 'join_spectate_room', roomId: started.roomId });
+    assert.equal((await waitForMessage(viewer.ws, 'join_spectate_room_response')).success, true);
+    const joined = await waitForMessage(alice.ws, 'new_spectator');
+    assert.equal(joined.userId, viewer.userId);
+
+    await send(alice.ws, { type: 'game_action', matchId, turn: 1, seq: 1, action: { kind: 'draw' } });
+    assert.equal((await waitForMessage(alice.ws, 'game_action_response')).success, true);
+    assert.deepEqual((await waitForMessage(bob.ws, 'game_action')).event.action, { kind: 'draw' });
+    const relayed = await waitForMessage(viewer.ws, 'spectate_game_action');
+    assert.equal(relayed.matchId, matchId);
+    assert.equal(relayed.event.seq, 1);
+
+    await send(viewer.ws, { type: 'spectate_chat', roomId: started.roomId, text: 'がんばれ' });
+    assert.equal((await waitForMessage(viewer.ws, 'spectate_chat_response')).success, true);
+    assert.equal((await waitForMessage(alice.ws, 'spectate_chat_message')).text, 'がんばれ');
+
+    await send(alice.ws, { type: 'stop_broadcast', roomId: started.roomId });
+    await waitForMessage(viewer.ws, 'broadcast_stopped');
+    assert.equal(await app.sharedState.getRoom(started.roomId), null);
+
+    await send(alice.ws, { type: 'report_result', matchId, result: 'win' });
+    await send(bob.ws, { type: 'report_result', matchId, result: 'lose' });
+    await waitForMessage(bob.ws, 'report_result_response', message => message.result === 'resolved');
+
+    alice.ws.close();
+    bob.ws.close();
+    viewer.ws.close();
+});
+
+test('a tournament round whose matches cannot all be created is not saved and voids the created matches', async () => {
+    const organizer = await createLoggedInClient('tn');
+    await send(organizer.ws, { type: 'create_tournament', name: '作成失敗テスト', format: 'single_elimination' });
+    const { tournamentId } = (await waitForMessage(organizer.ws, 'create_tournament_response')).tournament;
+    const players = [];
+    for (let i = 0; i < 4; i += 1) {
+        const client = await createLoggedInClient('tm');
+        await send(client.ws, { type: 'join_tournament', tournamentId });
+        await waitForMessage(client.ws, 'join_tournament_response');
+        players.push(client);
+    }
+
+    // 2つ目の対戦の作成で失敗させる
+    const create = app.storage.matches.create;
+    let creates = 0;
+    app.storage.matches.create = async (...args) => {
+        creates += 1;
+        if (creates === 2) throw new Error('connection reset');
+        return create.apply(app.storage.matches, args);
+    };
+    try {
+        await send(organizer.ws, { type: 'start_tournament_round', tournamentId });
+    } finally {
+        app.storage.matches.create = create;
+    }
+    assert.equal((await waitForMessage(organizer.ws, 'start_tournament_round_response')).success, false);
+
+    const tournament = await app.storage.tournaments.findById(tournamentId);
+    assert.equal(tournament.status, 'registration');
+    assert.deepEqual(tournament.rounds, []);
+    const { matchId } = await waitForMessage(players[0].ws, 'match_found');
+    const voided = await app.storage.matches.findById(matchId);
+    assert.equal(voided.status, 'resolved');
+    assert.equal(voided.resolution, 'void');
+    assert.equal((await app.storage.users.findById(players[0].userId)).current_match_id, null);
+
+    organizer.ws.close();
+    players.forEach(client => client.ws.close());
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { pairWithFewestRematches } = require('../lib/tournaments');
+
+// played: [['a', 'b'], ...] の組を対戦済みとする
+function playedPairs(played) {
+    const keys = new Set(played.flatMap(([a, b]) => [`${a}:${b}`, `${b}:${a}`]));
+    return (a, b) => keys.has(`${a}:${b}`);
+}
+
+test('pairWithFewestRematches pairs in standings order when there are no rematches', () => {
+    assert.deepEqual(pairWithFewestRematches(['a', 'b', 'c', 'd'], playedPairs([])), [['a', 'b'], ['c', 'd']]);
+});
+
+test('pairWithFewestRematches moves down the standings to avoid a rematch', () => {
+    assert.deepEqual(pairWithFewestRematches(['a', 'b', 'c', 'd'], playedPairs([['a', 'b']])), [['a', 'c'], ['b', 'd']]);
+    // a-c を選ぶと b-d が再戦になる場合は a-d まで下げる
+    assert.deepEqual(pairWithFewestRematches(['a', 'b', 'c', 'd'], playedPairs([['a', 'b'], ['b', 'd']])), [['a', 'd'], ['b', 'c']]);
+});
+
+test('pairWithFewestRematches keeps rematches to the minimum when they cannot be avoided', () => {
+    const everyone = ['a', 'b', 'c', 'd'];
+    const roundRobin = playedPairs(everyone.flatMap((a, i) => everyone.slice(i + 1).map(b => [a, b])));
+    assert.deepEqual(pairWithFewestRematches(everyone, roundRobin), [['a', 'b'], ['c', 'd']]);
+
+    // 下位の14人は互いに対戦済み。上位10人と組ませれば、再戦は残る4人の2組だけで済む
+    const playerIds = Array.from({ length: 24 }, (_, i) => `p${i}`);
+    const lower = new Set(playerIds.slice(10));
+    const hasPlayed = (a, b) => lower.has(a) && lower.has(b);
+    const pairs = pairWithFewestRematches(playerIds, hasPlayed);
+    assert.equal(pairs.length, 12);
+    assert.deepEqual(pairs.flat().sort(), [...playerIds].sort());
+    assert.equal(pairs.filter(([a, b]) => hasPlayed(a, b)).length, 2);
+});
+
+test('pairWithFewestRematches stops searching after maxSteps and still returns a full pairing', () => {
+    const playerIds = Array.from({ length: 40 }, (_, i) => `p${i}`);
+    const lower = new Set(playerIds.slice(15));
+    const pairs = pairWithFewestRematches(playerIds, (a, b) => lower.has(a) && lower.has(b), 50);
+    assert.equal(pairs.length, 20);
+    assert.deepEqual(pairs.flat().sort(), [...playerIds].sort());
+});